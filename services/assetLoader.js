@@ -0,0 +1,219 @@
+/**
+ * Asset Loader
+ * Shared glTF and audio loading for the scene systems on one THREE.LoadingManager: each URL is fetched
+ * and parsed once (every caller gets its own clone of a model), failed loads are retried, and when a model
+ * can't be loaded at all the caller gets placeholder geometry instead of an empty scene. Aggregate
+ * progress can drive an optional overlay on the page.
+ */
+
+class AssetLoader {
+    constructor(options = {}) {
+        this.manager = options.manager || new THREE.LoadingManager();
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.retryDelay = options.retryDelay || 1000; // ms, doubled for each further attempt
+
+        this.gltfLoader = new THREE.GLTFLoader(this.manager);
+        this.audioLoader = null;   // Created on first use; decoding needs the shared AudioContext
+        this.cache = new Map();    // url -> { type, asset, failed, callbacks }
+        this.progress = new Map(); // url -> 0-1, for the aggregate
+        this.progressListeners = [];
+        this.overlay = null;
+
+        if (options.overlay) this.showOverlay(options.overlay);
+    }
+
+    // The loader every system shares (created on first use)
+    static get shared() {
+        if (!AssetLoader.sharedInstance) AssetLoader.sharedInstance = new AssetLoader();
+        return AssetLoader.sharedInstance;
+    }
+
+    /**
+     * Load a glTF once per URL. onLoad(gltf) gets a copy whose scene and materials are clones (geometry
+     * is shared), so systems can change materials freely; gltf.isPlaceholder is true when placeholder()
+     * stood in for a failed model.
+     */
+    loadGLTF(url, onLoad, options = {}) {
+        this.load('gltf', url, onLoad, options);
+    }
+
+    /**
+     * Load and decode an audio file once per URL; onLoad(audioBuffer) gets the shared AudioBuffer.
+     * Call it after a user gesture: decoding creates THREE's AudioContext.
+     */
+    loadAudio(url, onLoad) {
+        if (!this.audioLoader) this.audioLoader = new THREE.AudioLoader(this.manager);
+        this.load('audio', url, onLoad, {});
+    }
+
+    load(type, url, onLoad, options) {
+        let entry = this.cache.get(url);
+
+        if (entry && entry.asset) {
+            this.deliver(entry, onLoad, options);
+            return;
+        }
+
+        if (!entry) {
+            entry = { type: type, asset: null, failed: false, callbacks: [] };
+            this.cache.set(url, entry);
+            this.progress.set(url, 0);
+            this.fetch(url, entry, 0);
+        }
+        entry.callbacks.push({ onLoad: onLoad, options: options });
+
+        // Keep SceneManager's "everything loaded" redraw waiting until the model is in the scene
+        THREE.DefaultLoadingManager.itemStart(url);
+    }
+
+    fetch(url, entry, attempt) {
+        const loader = entry.type === 'audio' ? this.audioLoader : this.gltfLoader;
+        loader.load(
+            url,
+            (asset) => {
+                entry.asset = asset;
+                this.finish(url, entry);
+            },
+            (xhr) => {
+                if (xhr.lengthComputable && xhr.total > 0) this.setProgress(url, xhr.loaded / xhr.total);
+            },
+            (error) => {
+                if (attempt < this.retries) {
+                    const delay = this.retryDelay * Math.pow(2, attempt);
+                    console.warn(`AssetLoader: loading ${url} failed, retrying in ${delay}ms`, error);
+                    setTimeout(() => this.fetch(url, entry, attempt + 1), delay);
+                    return;
+                }
+                console.error(`AssetLoader: couldn't load ${url} after ${attempt + 1} attempt(s)`, error);
+                entry.failed = true;
+                // Later callers retry from scratch instead of getting a cached failure
+                this.cache.delete(url);
+                this.finish(url, entry);
+            }
+        );
+    }
+
+    finish(url, entry) {
+        this.setProgress(url, 1);
+        const callbacks = entry.callbacks;
+        entry.callbacks = [];
+        callbacks.forEach(({ onLoad, options }) => {
+            this.deliver(entry, onLoad, options);
+            THREE.DefaultLoadingManager.itemEnd(url);
+        });
+    }
+
+    deliver(entry, onLoad, options) {
+        if (!entry.failed && entry.type === 'audio') {
+            onLoad(entry.asset);
+            return;
+        }
+        if (!entry.failed) {
+            onLoad(Object.assign({}, entry.asset, { scene: AssetLoader.cloneScene(entry.asset.scene), isPlaceholder: false }));
+            return;
+        }
+        if (!options.placeholder) return;
+
+        const scene = new THREE.Group();
+        scene.add(options.placeholder());
+        onLoad({ scene: scene, animations: [], isPlaceholder: true });
+    }
+
+    // Object3D.clone() shares materials; give the copy its own, keeping the ones meshes shared shared
+    static cloneScene(source) {
+        const scene = source.clone(true);
+        const clones = new Map(); // original material -> its clone
+        const cloneMaterial = (material) => {
+            if (!clones.has(material)) clones.set(material, material.clone());
+            return clones.get(material);
+        };
+
+        scene.traverse(child => {
+            if (!child.material) return;
+            child.material = Array.isArray(child.material)
+                ? child.material.map(cloneMaterial)
+                : cloneMaterial(child.material);
+        });
+        return scene;
+    }
+
+    setProgress(url, value) {
+        this.progress.set(url, value);
+        const progress = this.getProgress();
+        this.progressListeners.forEach(listener => listener(progress));
+        if (this.overlay) this.updateOverlay(progress);
+    }
+
+    // 0-1 over every URL requested so far
+    getProgress() {
+        if (this.progress.size === 0) return 1;
+        let sum = 0;
+        this.progress.forEach(value => { sum += value; });
+        return sum / this.progress.size;
+    }
+
+    onProgress(listener) {
+        this.progressListeners.push(listener);
+    }
+
+    isLoading() {
+        return this.getProgress() < 1;
+    }
+
+    /**
+     * Show a progress bar while models load; pass an element to use the page's own markup
+     * (its `--asset-progress` custom property is set to 0-1) or true for the built-in bar.
+     */
+    showOverlay(element = true) {
+        if (typeof document === 'undefined') return; // Workers have no page to show it on
+
+        if (element === true) {
+            AssetLoader.injectOverlayStyles();
+            element = document.createElement('div');
+            element.className = 'asset-loading-overlay';
+            element.innerHTML = '<div class="asset-loading-bar"></div>';
+            document.body.appendChild(element);
+        }
+        this.overlay = element;
+        this.updateOverlay(this.getProgress());
+    }
+
+    updateOverlay(progress) {
+        this.overlay.style.setProperty('--asset-progress', progress);
+        this.overlay.classList.toggle('is-done', progress >= 1);
+    }
+
+    static injectOverlayStyles() {
+        if (document.getElementById('asset-loading-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'asset-loading-styles';
+        style.textContent = `
+            .asset-loading-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 3px;
+                z-index: 1000;
+                pointer-events: none;
+                transition: opacity 0.6s ease 0.3s;
+            }
+            .asset-loading-overlay.is-done {
+                opacity: 0;
+            }
+            .asset-loading-bar {
+                height: 100%;
+                width: calc(var(--asset-progress, 0) * 100%);
+                background: var(--primary-color, #f0d060);
+                transition: width 0.2s ease;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+AssetLoader.sharedInstance = null;
+
+// Export for use in other files
+window.AssetLoader = AssetLoader;
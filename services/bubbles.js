@@ -0,0 +1,274 @@
+/**
+ * Bubbles System
+ * Pooled rising bubbles from the submarine's hull and from clicks/taps on the background.
+ * They wobble on the way up and pop at a ceiling above the camera; scrolling faster releases more of them.
+ */
+
+class Bubbles {
+    constructor(options = {}) {
+        this.oceanBackground = options.oceanBackground; // Shares its particle texture and point material
+        this.submarine = options.submarine || null;
+        this.random = options.random || Math.random;
+        this.poolSize = options.poolSize || 400;
+        // Bubbles pop this far above the camera, so the ceiling dives along with it
+        this.ceilingHeight = options.ceilingHeight !== undefined ? options.ceilingHeight : 8;
+        this.hullRate = options.hullRate !== undefined ? options.hullRate : 3;  // Bubbles per second at rest
+        this.clickBurst = options.clickBurst !== undefined ? options.clickBurst : 14;
+        this.clickDepth = options.clickDepth !== undefined ? options.clickDepth : -6; // z plane clicks land on
+        // Scroll speed (px/s) at which emission is strongest, and how much stronger it gets
+        this.scrollSpeedForMax = options.scrollSpeedForMax || 1500;
+        this.scrollBoost = options.scrollBoost !== undefined ? options.scrollBoost : 5;
+        // Clicks on the page's own controls don't release bubbles
+        this.ignoreSelector = options.ignoreSelector || SceneInteraction.IGNORE_SELECTOR;
+
+        this.priority = 5; // After the submarine has moved this frame
+
+        // Pool state, one slot per bubble; `life` < 0 marks a free slot
+        this.basePositions = new Float32Array(this.poolSize * 3);
+        this.riseSpeeds = new Float32Array(this.poolSize);
+        this.wobblePhases = new Float32Array(this.poolSize);
+        this.wobbleAmounts = new Float32Array(this.poolSize);
+        this.ages = new Float32Array(this.poolSize);
+        this.popAges = new Float32Array(this.poolSize).fill(-1); // Age at which it reached the ceiling
+        this.life = new Float32Array(this.poolSize).fill(-1);
+        this.nextSlot = 0; // Ring buffer: when every slot is taken the oldest bubble is reused
+        this.emittedCount = 0; // Total released so far (the soundscape plays bubble sounds from it)
+
+        this.scrollY = 0;
+        this.lastScrollY = null;
+        this.scrollSpeed = 0; // Smoothed px/s
+        this.hullCarry = 0;   // Fractional bubbles owed between frames
+        this.wakeCarry = 0;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.clickPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -this.clickDepth);
+        this.clickPoint = new THREE.Vector3();
+        this.hullBox = new THREE.Box3();
+        this.emitPoint = new THREE.Vector3();
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.scene = sceneManager.getScene();
+        this.camera = sceneManager.getCamera();
+
+        this.createPool();
+
+        this.onScroll = () => {
+            this.scrollY = window.pageYOffset || document.documentElement.scrollTop;
+        };
+        this.onClick = (e) => {
+            if (e.target && e.target.closest && e.target.closest(this.ignoreSelector)) return;
+            this.emitAtScreen(e.clientX, e.clientY, this.clickBurst);
+        };
+        window.addEventListener('scroll', this.onScroll, { passive: true });
+        document.addEventListener('click', this.onClick);
+        this.onScroll();
+    }
+
+    createPool() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.poolSize * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('bubbleSize', new THREE.BufferAttribute(new Float32Array(this.poolSize), 1));
+        geometry.setAttribute('bubbleFade', new THREE.BufferAttribute(new Float32Array(this.poolSize), 1).setUsage(THREE.DynamicDrawUsage));
+
+        const ocean = this.oceanBackground;
+        const material = ocean.createGpuParticleMaterial(Bubbles.VERTEX_SHADER, {
+            size: 0.12,
+            opacity: 0.55,
+            color: 0xd8f0ff,
+            map: ocean.particleTexture
+        });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false; // Bounds change every frame
+        ocean.attachPointScale(this.points);
+        this.scene.add(this.points);
+    }
+
+    // Release `count` bubbles around a world position, spread by `radius`
+    emit(position, count = 1, radius = 0.2) {
+        const sizes = this.points.geometry.attributes.bubbleSize;
+
+        for (let n = 0; n < count; n++) {
+            const i = this.nextSlot;
+            const i3 = i * 3;
+            this.nextSlot = (this.nextSlot + 1) % this.poolSize;
+
+            this.basePositions[i3] = position.x + (this.random() - 0.5) * radius * 2;
+            this.basePositions[i3 + 1] = position.y + (this.random() - 0.5) * radius * 2;
+            this.basePositions[i3 + 2] = position.z + (this.random() - 0.5) * radius * 2;
+
+            // Big bubbles rise faster and wobble more
+            const size = 0.5 + this.random() * this.random() * 1.5;
+            sizes.array[i] = size;
+            this.riseSpeeds[i] = 0.8 + size * 0.6 + this.random() * 0.3;
+            this.wobblePhases[i] = this.random() * Math.PI * 2;
+            this.wobbleAmounts[i] = 0.05 + size * 0.06;
+            this.ages[i] = 0;
+            this.popAges[i] = -1;
+            this.life[i] = 1;
+        }
+
+        sizes.needsUpdate = true;
+        this.emittedCount += count;
+    }
+
+    // Burst where the screen point (CSS px) meets the click plane
+    emitAtScreen(clientX, clientY, count) {
+        const viewport = this.sceneManager.viewport;
+        this.pointer.set((clientX / viewport.width) * 2 - 1, -(clientY / viewport.height) * 2 + 1);
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        if (!this.raycaster.ray.intersectPlane(this.clickPlane, this.clickPoint)) return;
+
+        this.emit(this.clickPoint, count, 0.25);
+    }
+
+    // 0 at rest, 1 at scrollSpeedForMax and beyond
+    getScrollFactor() {
+        return Math.min(this.scrollSpeed / this.scrollSpeedForMax, 1);
+    }
+
+    update(dt, elapsed) {
+        if (!this.points || dt <= 0) return;
+
+        // Scroll speed, smoothed so single wheel steps don't strobe
+        if (this.lastScrollY === null) this.lastScrollY = this.scrollY;
+        const instantSpeed = Math.abs(this.scrollY - this.lastScrollY) / dt;
+        this.lastScrollY = this.scrollY;
+        this.scrollSpeed += (instantSpeed - this.scrollSpeed) * (1 - Math.exp(-4 * dt));
+        const scrollFactor = this.getScrollFactor();
+
+        this.emitFromHull(dt, scrollFactor);
+        this.emitWake(dt, scrollFactor);
+        this.updatePool(dt);
+    }
+
+    // The hull leaks a steady trickle, more while diving
+    emitFromHull(dt, scrollFactor) {
+        const submarine = this.submarine;
+        if (!submarine || !submarine.gizmoGroup.visible) return;
+
+        this.hullCarry += this.hullRate * (1 + scrollFactor * this.scrollBoost) * dt;
+        if (this.hullCarry < 1) return;
+
+        // Nothing to release before the model loads, or while the camera has dived so far the hull is above the ceiling
+        if (!submarine.getHullBox(this.hullBox) || this.hullBox.max.y >= this.getCeilingY()) {
+            this.hullCarry = 0;
+            return;
+        }
+        while (this.hullCarry >= 1) {
+            this.hullCarry -= 1;
+            // Anywhere along the top of the hull
+            this.emitPoint.set(
+                THREE.MathUtils.lerp(this.hullBox.min.x, this.hullBox.max.x, this.random()),
+                THREE.MathUtils.lerp(this.hullBox.min.y, this.hullBox.max.y, 0.5 + this.random() * 0.5),
+                THREE.MathUtils.lerp(this.hullBox.min.z, this.hullBox.max.z, this.random())
+            );
+            this.emit(this.emitPoint, 1, 0.05);
+        }
+    }
+
+    // Scrolling fast streams bubbles past the camera, as if the camera were sinking through them
+    emitWake(dt, scrollFactor) {
+        if (scrollFactor <= 0.05) return;
+
+        this.wakeCarry += scrollFactor * 40 * dt;
+        while (this.wakeCarry >= 1) {
+            this.wakeCarry -= 1;
+            this.emitPoint.set(
+                this.camera.position.x + (this.random() - 0.5) * 10,
+                this.camera.position.y - 5 - this.random() * 2,
+                this.camera.position.z - 3 - this.random() * 6
+            );
+            this.emit(this.emitPoint, 1, 0.1);
+        }
+    }
+
+    getCeilingY() {
+        return this.camera.position.y + this.ceilingHeight;
+    }
+
+    updatePool(dt) {
+        const attributes = this.points.geometry.attributes;
+        const positions = attributes.position.array;
+        const fades = attributes.bubbleFade.array;
+        const popDuration = 0.15;
+        const ceilingY = this.getCeilingY();
+
+        for (let i = 0; i < this.poolSize; i++) {
+            if (this.life[i] < 0) {
+                fades[i] = 0;
+                continue;
+            }
+
+            const i3 = i * 3;
+            this.ages[i] += dt;
+            const age = this.ages[i];
+
+            // Rise, easing up to full speed over the first half second
+            this.basePositions[i3 + 1] += this.riseSpeeds[i] * Math.min(age * 2, 1) * dt;
+
+            // Wobble sideways around the rising column
+            const phase = this.wobblePhases[i];
+            const wobble = this.wobbleAmounts[i];
+            positions[i3] = this.basePositions[i3] + Math.sin(age * 5 + phase) * wobble;
+            positions[i3 + 1] = this.basePositions[i3 + 1];
+            positions[i3 + 2] = this.basePositions[i3 + 2] + Math.cos(age * 4 + phase) * wobble * 0.5;
+
+            // Pop: flare briefly and vanish once the ceiling is reached
+            if (this.popAges[i] < 0 && this.basePositions[i3 + 1] >= ceilingY) {
+                this.popAges[i] = age;
+            }
+            let fade = Math.min(age * 4, 1);
+            if (this.popAges[i] >= 0) {
+                const popProgress = (age - this.popAges[i]) / popDuration;
+                if (popProgress >= 1) {
+                    this.life[i] = -1;
+                    fades[i] = 0;
+                    continue;
+                }
+                fade *= 1 + popProgress * 0.6 - popProgress * popProgress * 1.6;
+            }
+            fades[i] = Math.max(fade, 0);
+        }
+
+        attributes.position.needsUpdate = true;
+        attributes.bubbleFade.needsUpdate = true;
+    }
+
+    dispose() {
+        window.removeEventListener('scroll', this.onScroll);
+        document.removeEventListener('click', this.onClick);
+
+        if (!this.points) return;
+        this.scene.remove(this.points);
+        this.points.geometry.dispose();
+        this.points.material.dispose(); // The texture belongs to OceanBackground
+        this.points = null;
+    }
+}
+
+// Point sprites sized per bubble; a fade of 0 hides free pool slots
+Bubbles.VERTEX_SHADER = `
+    uniform float uSize;
+    uniform float uScale;
+    attribute float bubbleSize;
+    attribute float bubbleFade;
+    varying vec3 vColor;
+    #include <fog_pars_vertex>
+
+    void main() {
+        vColor = vec3(bubbleFade);
+
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = bubbleFade > 0.0 ? uSize * bubbleSize * (uScale / -mvPosition.z) : 0.0;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+// Export for use in other files
+window.Bubbles = Bubbles;
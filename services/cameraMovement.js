@@ -1,10 +1,12 @@
 /**
  * Camera Movement System
- * Handles mouse tracking, cursor light effects, and camera parallax movement
+ * Handles pointer and device-tilt tracking, cursor light effects, and camera parallax movement
  */
 
 class CameraMovement {
-    constructor() {
+    // trackPointer: false skips the DOM listeners and cursor light; feed setMousePosition() instead (workers)
+    constructor(options = {}) {
+        this.trackPointer = options.trackPointer !== false;
         this.mouseX = 0;
         this.mouseY = 0;
         this.cursorX = 0;
@@ -13,13 +15,28 @@ class CameraMovement {
         this.cameras = [];
         this.easingFactor = 0.05;
         
+        // Gyroscope parallax on phones and tablets (DeviceOrientationEvent)
+        this.useGyro = options.gyro !== false;
+        this.gyroRange = options.gyroRange || 20;         // Degrees of tilt for full parallax
+        this.gyroSmoothing = options.gyroSmoothing || 6;  // 1/s; higher follows the tilt more tightly
+        this.gyroActive = false;  // True once orientation events actually arrive
+        this.gyroBaseline = null; // Tilt that counts as centred; null takes the next reading
+        this.gyroTarget = { x: 0, y: 0 };
+        this.touchPointerDown = false; // A finger on the screen overrides the tilt
+        this.touchStart = null;        // Where the current touch began; short touches are taps
+        this.lastTap = null;           // For the double-tap recenter gesture
+        this.motionButton = null;      // iOS motion access control (showMotionButton)
+        
         // Base positions for cameras (can be modified by scroll effects)
         this.baseCameraPositions = new Map();
         
-        this.init();
+        this.isInitialized = false;
     }
 
     init() {
+        if (this.isInitialized) return;
+        this.isInitialized = true;
+        if (!this.trackPointer) return;
         this.setupCursorLight();
         this.setupEventListeners();
     }
@@ -37,39 +54,230 @@ class CameraMovement {
     }
 
     setupEventListeners() {
-        const handleMove = (e) => {
-            // Handle both mouse and touch events
-            const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-            const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-
-            this.cursorX = clientX;
-            this.cursorY = clientY;
-
-            // Normalised mouse coordinates for Three.js (-1 to 1)
-            this.mouseX = (clientX / window.innerWidth) * 2 - 1;
-            this.mouseY = -(clientY / window.innerHeight) * 2 + 1;
-
-            // DOM Cursor Light update
-            this.cursorLight.style.left = this.cursorX + 'px';
-            this.cursorLight.style.top = this.cursorY + 'px';
-            this.cursorLight.style.opacity = '1';
-            this.isMoving = true;
-
-            // Debounce to fade out the light when movement stops
-            clearTimeout(this.cursorTimeout);
-            this.cursorTimeout = setTimeout(() => {
-                this.isMoving = false;
-            }, 100);
+        // Mouse and pen; only the primary pointer moves the cursor. Touch has its own listeners below.
+        const handleMove = this.handleMove = (e) => {
+            if (!e.isPrimary || e.pointerType === 'touch') return;
+            this.moveCursorTo(e.clientX, e.clientY, e.pointerType === 'mouse' ? '1' : '0.8');
+            this.markMoving();
+        };
+
+        // Touch events keep arriving while a drag scrolls the page, where pointer events stop with a
+        // pointercancel. The first finger on the screen moves the light, so a second one can't make it jump.
+        const handleTouch = this.handleTouch = (e) => {
+            const touch = e.touches[0];
+            if (!touch) return;
+            if (e.type === 'touchstart') {
+                if (e.touches.length === 1) this.touchStart = { x: touch.clientX, y: touch.clientY };
+                this.touchPointerDown = true;
+                clearTimeout(this.touchFadeTimeout);
+            } else {
+                this.markMoving();
+            }
+            this.moveCursorTo(touch.clientX, touch.clientY, '0.8');
         };
 
-        const handleLeave = () => {
-            this.cursorLight.style.opacity = '0';
+        // The light lingers briefly after the last finger lifts (or follows the tilt again)
+        const handleTouchEnd = this.handleTouchEnd = (e) => {
+            if (e.touches.length > 0) return;
+            this.touchPointerDown = false;
+
+            // Only taps count towards the recenter double-tap, not the end of a scroll
+            const touch = e.changedTouches[0];
+            const start = this.touchStart;
+            if (e.type === 'touchend' && touch && start && Math.hypot(touch.clientX - start.x, touch.clientY - start.y) < 10) {
+                this.detectDoubleTap(touch);
+            }
+
+            clearTimeout(this.touchFadeTimeout);
+            this.touchFadeTimeout = setTimeout(() => {
+                if (!this.touchPointerDown && !this.gyroActive) this.cursorLight.style.opacity = '0';
+            }, 500);
         };
 
-        document.addEventListener('mousemove', handleMove);
-        document.addEventListener('touchmove', handleMove);
+        const handleLeave = this.handleLeave = () => {
+            if (!this.gyroActive) this.cursorLight.style.opacity = '0';
+        };
+
+        document.addEventListener('pointermove', handleMove);
+        document.addEventListener('touchstart', handleTouch, { passive: true });
+        document.addEventListener('touchmove', handleTouch, { passive: true });
+        document.addEventListener('touchend', handleTouchEnd);
+        document.addEventListener('touchcancel', handleTouchEnd);
         document.addEventListener('mouseleave', handleLeave);
-        document.addEventListener('touchend', handleLeave);
+
+        if (this.useGyro) this.setupGyro();
+    }
+
+    // Debounce to fade out the light when movement stops
+    markMoving() {
+        this.isMoving = true;
+        clearTimeout(this.cursorTimeout);
+        this.cursorTimeout = setTimeout(() => {
+            this.isMoving = false;
+        }, 100);
+    }
+
+    // Place the cursor (CSS px) and the DOM light there; the parallax follows
+    moveCursorTo(clientX, clientY, opacity) {
+        this.cursorX = clientX;
+        this.cursorY = clientY;
+
+        // Normalised mouse coordinates for Three.js (-1 to 1)
+        this.mouseX = (clientX / window.innerWidth) * 2 - 1;
+        this.mouseY = -(clientY / window.innerHeight) * 2 + 1;
+
+        // DOM Cursor Light update
+        this.cursorLight.style.left = this.cursorX + 'px';
+        this.cursorLight.style.top = this.cursorY + 'px';
+        if (opacity !== undefined) this.cursorLight.style.opacity = opacity;
+    }
+
+    setupGyro() {
+        if (typeof DeviceOrientationEvent === 'undefined') return;
+
+        this.handleOrientation = (e) => {
+            if (e.beta === null || e.gamma === null) return; // Desktops fire one empty event
+            this.readTilt(e.beta, e.gamma);
+        };
+
+        // iOS 13+ only delivers orientation after a permission prompt; the page asks through requestPermission()
+        if (!CameraMovement.needsMotionPermission()) {
+            window.addEventListener('deviceorientation', this.handleOrientation);
+        }
+    }
+
+    // True where motion access needs a prompt (iOS 13+), i.e. where a page should offer a control for it
+    static needsMotionPermission() {
+        return typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function';
+    }
+
+    /**
+     * Ask for motion access (iOS) and start listening; call from the click handler of an explicit control.
+     * Resolves true when orientation events were allowed.
+     */
+    requestPermission() {
+        if (!this.handleOrientation) return Promise.resolve(false);
+        if (!CameraMovement.needsMotionPermission()) return Promise.resolve(true);
+
+        return DeviceOrientationEvent.requestPermission()
+            .then((state) => {
+                if (state !== 'granted') return false;
+                window.addEventListener('deviceorientation', this.handleOrientation);
+                return true;
+            })
+            .catch(() => false);
+    }
+
+    // Tilt control for pages that need the prompt (OceanScene adds it); removed once access is granted
+    showMotionButton() {
+        if (this.motionButton || !this.useGyro || !this.handleOrientation || !CameraMovement.needsMotionPermission()) return;
+        CameraMovement.injectMotionButtonStyles();
+
+        this.motionButton = document.createElement('button');
+        this.motionButton.type = 'button';
+        this.motionButton.className = 'motion-toggle';
+        this.motionButton.textContent = '📱';
+        this.motionButton.setAttribute('aria-label', 'Tilt your device to move the ocean');
+        this.motionButton.title = this.motionButton.getAttribute('aria-label');
+        this.motionButton.addEventListener('click', () => {
+            this.requestPermission().then(granted => {
+                if (granted) this.removeMotionButton();
+            });
+        });
+        document.body.appendChild(this.motionButton);
+    }
+
+    removeMotionButton() {
+        if (!this.motionButton) return;
+        this.motionButton.remove();
+        this.motionButton = null;
+    }
+
+    // Round button left of the sound toggle (see Soundscape)
+    static injectMotionButtonStyles() {
+        if (document.getElementById('motion-toggle-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'motion-toggle-styles';
+        style.textContent = `
+            .motion-toggle {
+                position: fixed;
+                right: 70px;
+                bottom: 20px;
+                width: 40px;
+                height: 40px;
+                border-radius: 50%;
+                border: 1px solid var(--primary-color, #f0d060);
+                background: rgba(0, 0, 0, 0.4);
+                color: var(--primary-color, #f0d060);
+                font-size: 18px;
+                line-height: 1;
+                cursor: pointer;
+                z-index: 1000;
+                opacity: 0.6;
+                transition: opacity 0.2s ease;
+            }
+            .motion-toggle:hover,
+            .motion-toggle:focus-visible {
+                opacity: 1;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // Tilt relative to the baseline, mapped to -1..1 for the current screen orientation
+    readTilt(beta, gamma) {
+        const angle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+        let x = gamma;
+        let y = beta;
+        if (angle === 90) {
+            x = beta;
+            y = -gamma;
+        } else if (angle === -90 || angle === 270) {
+            x = -beta;
+            y = gamma;
+        } else if (angle === 180 || angle === -180) {
+            x = -gamma;
+            y = -beta;
+        }
+
+        if (!this.gyroBaseline) this.gyroBaseline = { x: x, y: y };
+        this.gyroTarget.x = THREE.MathUtils.clamp((x - this.gyroBaseline.x) / this.gyroRange, -1, 1);
+        this.gyroTarget.y = THREE.MathUtils.clamp((this.gyroBaseline.y - y) / this.gyroRange, -1, 1);
+        this.gyroActive = true;
+    }
+
+    // Treat the way the device is held right now as centred
+    recenter() {
+        this.gyroBaseline = null;
+    }
+
+    // Double-tap on the background (not on page controls, see SceneInteraction.IGNORE_SELECTOR) recenters the tilt
+    detectDoubleTap(e) {
+        if (e.target && e.target.closest && e.target.closest(SceneInteraction.IGNORE_SELECTOR)) return;
+
+        const now = performance.now();
+        const last = this.lastTap;
+        if (last && now - last.time < 300 && Math.hypot(e.clientX - last.x, e.clientY - last.y) < 40) {
+            this.lastTap = null;
+            this.recenter();
+            return;
+        }
+        this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+    }
+
+    // Ease the parallax towards the tilt and let the cursor light follow it
+    updateGyro(dt) {
+        if (!this.gyroActive || this.touchPointerDown) return;
+
+        const smoothing = 1 - Math.exp(-this.gyroSmoothing * dt);
+        this.mouseX += (this.gyroTarget.x - this.mouseX) * smoothing;
+        this.mouseY += (this.gyroTarget.y - this.mouseY) * smoothing;
+        this.moveCursorTo(
+            (this.mouseX + 1) / 2 * window.innerWidth,
+            (1 - this.mouseY) / 2 * window.innerHeight,
+            '0.8'
+        );
     }
 
     // Register cameras for parallax movement
@@ -88,7 +296,10 @@ class CameraMovement {
     }
 
     // Update camera positions based on mouse movement
-    updateCameras() {
+    updateCameras(dt = 1 / 60) {
+        // easingFactor is per 60fps frame; scale it so throttled loops ease at the same speed
+        const easing = Math.min(this.easingFactor * dt * 60, 1);
+        
         this.cameras.forEach(({ camera, parallaxIntensity }) => {
             const basePos = this.baseCameraPositions.get(camera);
             if (basePos) {
@@ -97,8 +308,8 @@ class CameraMovement {
                 const targetY = basePos.y + (this.mouseY * parallaxIntensity);
                 
                 // Apply easing to reach target position
-                camera.position.x += (targetX - camera.position.x) * this.easingFactor;
-                camera.position.y += (targetY - camera.position.y) * this.easingFactor;
+                camera.position.x += (targetX - camera.position.x) * easing;
+                camera.position.y += (targetY - camera.position.y) * easing;
                 // Don't modify Z position to preserve scroll-based depth changes
             }
         });
@@ -114,6 +325,12 @@ class CameraMovement {
         }
     }
 
+    // Set the normalised mouse position directly (when trackPointer is off)
+    setMousePosition(mouseX, mouseY) {
+        this.mouseX = mouseX;
+        this.mouseY = mouseY;
+    }
+
     // Get current mouse position (normalized -1 to 1)
     getMousePosition() {
         return {
@@ -125,8 +342,27 @@ class CameraMovement {
     }
 
     // Update method to be called in animation loop
-    update() {
-        this.updateCameras();
+    update(dt = 1 / 60) {
+        this.updateGyro(dt);
+        this.updateCameras(dt);
+    }
+
+    dispose() {
+        if (this.trackPointer) {
+            document.removeEventListener('pointermove', this.handleMove);
+            document.removeEventListener('touchstart', this.handleTouch);
+            document.removeEventListener('touchmove', this.handleTouch);
+            document.removeEventListener('touchend', this.handleTouchEnd);
+            document.removeEventListener('touchcancel', this.handleTouchEnd);
+            document.removeEventListener('mouseleave', this.handleLeave);
+        }
+        if (this.handleOrientation) window.removeEventListener('deviceorientation', this.handleOrientation);
+        this.removeMotionButton();
+        clearTimeout(this.cursorTimeout);
+        clearTimeout(this.touchFadeTimeout);
+        this.cameras = [];
+        this.baseCameraPositions.clear();
+        this.isInitialized = false;
     }
 }
 
@@ -89,7 +89,10 @@ class ColorConfigPanel {
             '--ocean-cursor-light',
             '--ocean-cursor-ambient',
             '--ocean-particle-layer-2',
-            '--ocean-particle-layer-3'
+            '--ocean-particle-layer-3',
+            '--ocean-fish-color',
+            '--ocean-kelp-color',
+            '--ocean-submarine-hull'
         ];
 
         cssVars.forEach(varName => {
@@ -131,13 +134,6 @@ class ColorConfigPanel {
                 
                 if (restoredCount > 0) {
                     console.log(`%c🎨 Restored ${restoredCount} custom colors for ${this.currentColorFile}!`, 'color: #f0d060; font-weight: bold;');
-                    
-                    // Update ocean background if ocean colors were restored
-                    setTimeout(() => {
-                        if (window.oceanBackground) {
-                            window.oceanBackground.updateColors();
-                        }
-                    }, 100);
                 }
             }
         } catch (error) {
@@ -448,12 +444,7 @@ class ColorConfigPanel {
             });
         }
         
-        // Update ocean background if ocean colors changed
-        if (cssVar.startsWith('--ocean-') && window.oceanBackground) {
-            setTimeout(() => {
-                window.oceanBackground.updateColors();
-            }, 50);
-        }
+        // The 3D scene picks up the change itself (SceneTheme watches the root style)
 
         // Auto-save colors to session storage
         this.saveColors();
@@ -513,13 +504,6 @@ class ColorConfigPanel {
         // Clear saved colors from session storage
         this.clearSavedColors();
         
-        // Update ocean background
-        if (window.oceanBackground) {
-            setTimeout(() => {
-                window.oceanBackground.updateColors();
-            }, 50);
-        }
-        
         // Refresh panel if visible
         if (this.isVisible) {
             this.hide();
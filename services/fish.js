@@ -0,0 +1,380 @@
+/**
+ * Fish System
+ * Boids school (separation, alignment, cohesion) drawn as one InstancedMesh of low-poly fish.
+ * The fish swerve away from the cursor and the submarine. Count and colour come from
+ * --ocean-fish-count and --ocean-fish-color.
+ */
+
+class Fish {
+    constructor(options = {}) {
+        this.submarine = options.submarine || null; // Its hull is kept clear
+        this.random = options.random || Math.random;
+        this.maxCount = options.count || Math.max(Math.round(Fish.getCSSNumber('--ocean-fish-count', 60)), 0);
+        this.cssCount = this.maxCount;
+        this.tierCount = this.maxCount;
+        this.activeCount = this.maxCount;
+
+        // Where the school swims (world units); fish turn back softly near the edges
+        this.bounds = new THREE.Box3(
+            new THREE.Vector3(-14, -7, -22),
+            new THREE.Vector3(14, 6, -4)
+        );
+
+        // Flocking tuning (units and units/second)
+        this.neighbourRadius = 2.5;
+        this.separationRadius = 0.8;
+        this.minSpeed = 1.2;
+        this.maxSpeed = 2.6;
+        this.maxSteer = 8;
+        this.weights = { separation: 1.6, alignment: 1, cohesion: 0.7, bounds: 2, cursor: 1, submarine: 3 };
+
+        // Cursor repulsion, the same linear falloff as the layer-1 particles but around the cursor's ray
+        this.cursorRadius = 2.5;
+        this.cursorForce = 12;
+
+        this.mouseX = 0;
+        this.mouseY = 0;
+        this.hasMouse = false;
+
+        this.positions = new Float32Array(this.maxCount * 3);
+        this.velocities = new Float32Array(this.maxCount * 3);
+        this.acceleration = new THREE.Vector3();
+
+        this.fishMesh = null;
+        this.swimUniforms = { uTime: { value: 0 } };
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.submarineBox = new THREE.Box3();
+        this.submarineCenter = new THREE.Vector3();
+        this.dummy = new THREE.Object3D();
+        this.forward = new THREE.Vector3(0, 0, 1);
+        this.heading = new THREE.Vector3();
+    }
+
+    // Numeric CSS variable (read from the forwarded values inside a worker)
+    static getCSSNumber(cssVarName, fallback) {
+        const value = OceanBackground.cssColors
+            ? OceanBackground.cssColors[cssVarName]
+            : getComputedStyle(document.documentElement).getPropertyValue(cssVarName);
+        const number = parseFloat(value);
+        return isNaN(number) ? fallback : number;
+    }
+
+    // Nose along +z: a four-sided body and a flat tail fin, about 0.5 units long
+    static createFishGeometry() {
+        const nose = [0, 0, 0.25];
+        const top = [0, 0.09, 0.02];
+        const bottom = [0, -0.07, 0.02];
+        const left = [-0.045, 0, 0.02];
+        const right = [0.045, 0, 0.02];
+        const tailRoot = [0, 0, -0.14];
+        const tailTop = [0, 0.09, -0.26];
+        const tailBottom = [0, -0.09, -0.26];
+
+        const triangles = [
+            nose, top, right, nose, right, bottom, nose, bottom, left, nose, left, top,
+            tailRoot, right, top, tailRoot, bottom, right, tailRoot, left, bottom, tailRoot, top, left,
+            tailRoot, tailTop, tailBottom
+        ];
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(triangles.flat(), 3));
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.scene = sceneManager.getScene();
+        this.camera = sceneManager.getCamera();
+
+        this.createSchool();
+        this.scene.add(this.fishMesh);
+    }
+
+    createSchool() {
+        const phases = new Float32Array(this.maxCount);
+        const size = this.bounds.getSize(new THREE.Vector3());
+
+        for (let i = 0; i < this.maxCount; i++) {
+            const i3 = i * 3;
+            this.positions[i3] = this.bounds.min.x + this.random() * size.x;
+            this.positions[i3 + 1] = this.bounds.min.y + this.random() * size.y;
+            this.positions[i3 + 2] = this.bounds.min.z + this.random() * size.z;
+
+            // Start roughly sideways so the school reads as swimming across the page
+            const angle = (this.random() - 0.5) * 0.8 + (this.random() < 0.5 ? 0 : Math.PI);
+            const speed = this.minSpeed + this.random() * (this.maxSpeed - this.minSpeed);
+            this.velocities[i3] = Math.cos(angle) * speed;
+            this.velocities[i3 + 1] = (this.random() - 0.5) * 0.3;
+            this.velocities[i3 + 2] = Math.sin(angle) * speed * 0.5;
+
+            phases[i] = this.random() * Math.PI * 2;
+        }
+
+        const geometry = Fish.createFishGeometry();
+        geometry.setAttribute('fishPhase', new THREE.InstancedBufferAttribute(phases, 1));
+
+        this.fishMaterial = new THREE.MeshPhongMaterial({
+            color: OceanBackground.getCSSColorAsHex('--ocean-fish-color'),
+            flatShading: true,
+            shininess: 20,
+            side: THREE.DoubleSide
+        });
+        this.fishMaterial.onBeforeCompile = (shader) => this.addSwimToShader(shader);
+
+        this.fishMesh = new THREE.InstancedMesh(geometry, this.fishMaterial, this.maxCount);
+        this.fishMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.fishMesh.count = this.activeCount;
+        this.fishMesh.frustumCulled = false; // The school is spread far beyond one fish's bounds
+        this.updateInstanceMatrices();
+    }
+
+    // Tail beat: the body bends more towards the tail
+    addSwimToShader(shader) {
+        shader.uniforms.uTime = this.swimUniforms.uTime;
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                attribute float fishPhase;
+                uniform float uTime;`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+                float tailAmount = clamp(0.1 - position.z, 0.0, 0.4);
+                transformed.x += sin(uTime * 9.0 + fishPhase + position.z * 6.0) * tailAmount * 0.35;`);
+    }
+
+    // Cursor in normalised device coordinates (-1 to 1), like OceanBackground.updateMousePosition
+    updateMousePosition(mouseX, mouseY) {
+        this.mouseX = mouseX;
+        this.mouseY = mouseY;
+        this.hasMouse = true;
+    }
+
+    // Quality tier hook
+    applyQualityTier(tier) {
+        this.tierCount = tier.fishCount !== undefined ? tier.fishCount : this.maxCount;
+        this.refreshCount();
+    }
+
+    refreshCount() {
+        this.activeCount = Math.min(this.cssCount, this.tierCount, this.maxCount);
+        if (this.fishMesh) this.fishMesh.count = this.activeCount;
+    }
+
+    // Re-read the CSS variables (the count can only go as high as the fish allocated at start)
+    updateColors() {
+        if (this.fishMaterial) {
+            this.fishMaterial.color.setHex(OceanBackground.getCSSColorAsHex('--ocean-fish-color'));
+        }
+        this.cssCount = Math.max(Math.round(Fish.getCSSNumber('--ocean-fish-count', this.maxCount)), 0);
+        this.refreshCount();
+    }
+
+    update(dt, elapsed) {
+        if (!this.fishMesh) return;
+        this.swimUniforms.uTime.value = elapsed;
+        if (dt <= 0) return;
+
+        // Obstacles are looked up once per frame
+        if (this.hasMouse) {
+            this.pointer.set(this.mouseX, this.mouseY);
+            this.raycaster.setFromCamera(this.pointer, this.camera);
+        }
+        const hasSubmarine = this.updateSubmarineBox();
+
+        for (let i = 0; i < this.activeCount; i++) {
+            this.acceleration.set(0, 0, 0);
+            this.addFlocking(i);
+            this.addBoundsSteering(i);
+            if (this.hasMouse) this.addCursorAvoidance(i);
+            if (hasSubmarine) this.addSubmarineAvoidance(i);
+            this.integrate(i, dt);
+        }
+
+        this.updateInstanceMatrices();
+    }
+
+    addFlocking(index) {
+        const positions = this.positions;
+        const velocities = this.velocities;
+        const i3 = index * 3;
+        const x = positions[i3], y = positions[i3 + 1], z = positions[i3 + 2];
+        const neighbourRadiusSq = this.neighbourRadius * this.neighbourRadius;
+        const separationRadiusSq = this.separationRadius * this.separationRadius;
+
+        let neighbours = 0;
+        let alignX = 0, alignY = 0, alignZ = 0;
+        let centerX = 0, centerY = 0, centerZ = 0;
+        let separateX = 0, separateY = 0, separateZ = 0;
+
+        for (let j = 0; j < this.activeCount; j++) {
+            if (j === index) continue;
+            const j3 = j * 3;
+            const dx = positions[j3] - x;
+            const dy = positions[j3 + 1] - y;
+            const dz = positions[j3 + 2] - z;
+            const distanceSq = dx * dx + dy * dy + dz * dz;
+            if (distanceSq > neighbourRadiusSq) continue;
+
+            neighbours++;
+            alignX += velocities[j3];
+            alignY += velocities[j3 + 1];
+            alignZ += velocities[j3 + 2];
+            centerX += dx;
+            centerY += dy;
+            centerZ += dz;
+
+            // Push apart harder the closer they are
+            if (distanceSq < separationRadiusSq && distanceSq > 0) {
+                const push = (this.separationRadius - Math.sqrt(distanceSq)) / this.separationRadius;
+                const inverse = push / Math.sqrt(distanceSq);
+                separateX -= dx * inverse;
+                separateY -= dy * inverse;
+                separateZ -= dz * inverse;
+            }
+        }
+
+        if (neighbours === 0) return;
+
+        const weights = this.weights;
+        // Match the neighbours' average velocity
+        this.acceleration.x += (alignX / neighbours - velocities[i3]) * weights.alignment;
+        this.acceleration.y += (alignY / neighbours - velocities[i3 + 1]) * weights.alignment;
+        this.acceleration.z += (alignZ / neighbours - velocities[i3 + 2]) * weights.alignment;
+        // Head for their centre
+        this.acceleration.x += (centerX / neighbours) * weights.cohesion;
+        this.acceleration.y += (centerY / neighbours) * weights.cohesion;
+        this.acceleration.z += (centerZ / neighbours) * weights.cohesion;
+        // Keep personal space
+        this.acceleration.x += separateX * weights.separation * this.maxSpeed;
+        this.acceleration.y += separateY * weights.separation * this.maxSpeed;
+        this.acceleration.z += separateZ * weights.separation * this.maxSpeed;
+    }
+
+    // Turn back before leaving the swim area
+    addBoundsSteering(index) {
+        const i3 = index * 3;
+        const margin = 2;
+        const min = this.bounds.min;
+        const max = this.bounds.max;
+        const weight = this.weights.bounds;
+        const axes = ['x', 'y', 'z'];
+
+        for (let axis = 0; axis < 3; axis++) {
+            const value = this.positions[i3 + axis];
+            const low = min[axes[axis]] + margin;
+            const high = max[axes[axis]] - margin;
+            if (value < low) this.acceleration.setComponent(axis, this.acceleration.getComponent(axis) + (low - value) * weight);
+            if (value > high) this.acceleration.setComponent(axis, this.acceleration.getComponent(axis) - (value - high) * weight);
+        }
+    }
+
+    // Push away from the cursor's ray: (radius - distance) * force, like updateParticleLayer1
+    addCursorAvoidance(index) {
+        const i3 = index * 3;
+        const ray = this.raycaster.ray;
+        const px = this.positions[i3] - ray.origin.x;
+        const py = this.positions[i3 + 1] - ray.origin.y;
+        const pz = this.positions[i3 + 2] - ray.origin.z;
+
+        // Closest point on the ray
+        const along = px * ray.direction.x + py * ray.direction.y + pz * ray.direction.z;
+        if (along <= 0) return;
+        const dx = px - ray.direction.x * along;
+        const dy = py - ray.direction.y * along;
+        const dz = pz - ray.direction.z * along;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (distance < this.cursorRadius && distance > 0) {
+            const force = (this.cursorRadius - distance) * this.cursorForce * this.weights.cursor / distance;
+            this.acceleration.x += dx * force;
+            this.acceleration.y += dy * force;
+            this.acceleration.z += dz * force;
+        }
+    }
+
+    // Hull bounds grown by a margin; false while there is no model
+    updateSubmarineBox() {
+        const submarine = this.submarine;
+        if (!submarine || !submarine.gizmoGroup.visible) return false; // Hidden by a preset
+        if (!submarine.getHullBox(this.submarineBox)) return false;
+
+        this.submarineBox.expandByScalar(1);
+        this.submarineBox.getCenter(this.submarineCenter);
+        return true;
+    }
+
+    addSubmarineAvoidance(index) {
+        const i3 = index * 3;
+        // Look a second ahead so fish swerve before touching the hull
+        const aheadX = this.positions[i3] + this.velocities[i3] * 0.5;
+        const aheadY = this.positions[i3 + 1] + this.velocities[i3 + 1] * 0.5;
+        const aheadZ = this.positions[i3 + 2] + this.velocities[i3 + 2] * 0.5;
+
+        const box = this.submarineBox;
+        if (aheadX < box.min.x || aheadX > box.max.x || aheadY < box.min.y || aheadY > box.max.y ||
+            aheadZ < box.min.z || aheadZ > box.max.z) return;
+
+        const weight = this.weights.submarine * this.maxSpeed;
+        this.heading.set(
+            this.positions[i3] - this.submarineCenter.x,
+            this.positions[i3 + 1] - this.submarineCenter.y,
+            this.positions[i3 + 2] - this.submarineCenter.z
+        ).normalize();
+        this.acceleration.addScaledVector(this.heading, weight);
+    }
+
+    integrate(index, dt) {
+        const i3 = index * 3;
+        const velocities = this.velocities;
+
+        this.acceleration.clampLength(0, this.maxSteer);
+        velocities[i3] += this.acceleration.x * dt;
+        velocities[i3 + 1] += this.acceleration.y * dt;
+        velocities[i3 + 2] += this.acceleration.z * dt;
+
+        // Fish don't stop or dart off
+        const speed = Math.hypot(velocities[i3], velocities[i3 + 1], velocities[i3 + 2]);
+        const clamped = Math.min(Math.max(speed, this.minSpeed), this.maxSpeed);
+        if (speed > 0 && clamped !== speed) {
+            const scale = clamped / speed;
+            velocities[i3] *= scale;
+            velocities[i3 + 1] *= scale;
+            velocities[i3 + 2] *= scale;
+        }
+
+        this.positions[i3] += velocities[i3] * dt;
+        this.positions[i3 + 1] += velocities[i3 + 1] * dt;
+        this.positions[i3 + 2] += velocities[i3 + 2] * dt;
+    }
+
+    // Place each fish and point it along its velocity
+    updateInstanceMatrices() {
+        const dummy = this.dummy;
+        for (let i = 0; i < this.activeCount; i++) {
+            const i3 = i * 3;
+            dummy.position.set(this.positions[i3], this.positions[i3 + 1], this.positions[i3 + 2]);
+            this.heading.set(this.velocities[i3], this.velocities[i3 + 1], this.velocities[i3 + 2]).normalize();
+            dummy.quaternion.setFromUnitVectors(this.forward, this.heading);
+            dummy.updateMatrix();
+            this.fishMesh.setMatrixAt(i, dummy.matrix);
+        }
+        this.fishMesh.instanceMatrix.needsUpdate = true;
+    }
+
+    dispose() {
+        if (!this.fishMesh) return;
+        this.scene.remove(this.fishMesh);
+        this.fishMesh.geometry.dispose();
+        this.fishMaterial.dispose();
+        this.fishMesh.dispose();
+        this.fishMesh = null;
+    }
+}
+
+// CSS variables updateColors() reads (see SceneTheme)
+Fish.THEME_VARIABLES = ['--ocean-fish-color', '--ocean-fish-count'];
+
+// Export for use in other files
+window.Fish = Fish;
@@ -4,136 +4,290 @@
  */
 
 class Kelp {
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
         this.kelpGroup = new THREE.Group();
-        this.kelpObjects = [];
-        this.kelpCount = 150;
+        this.kelpMeshes = []; // One InstancedMesh per mesh in the model
+        this.placements = []; // { matrix, sway, z } per kelp, in random order
+        this.kelpCount = options.kelpCount || 150;
+        this.random = options.random || Math.random; // Placement and sway phases
+        this.visibleKelpCount = this.kelpCount; // Lowered by the quality governor or a preset
+        this.tierKelpCount = this.kelpCount;
+        this.presetKelpCount = this.kelpCount;
         
-        this.init();
+        // Per-instance "disturbance" (0-1) from disturb(), fading back out in update()
+        this.disturbance = new THREE.InstancedBufferAttribute(new Float32Array(this.kelpCount), 1);
+        this.disturbance.setUsage(THREE.DynamicDrawUsage);
+        this.isDisturbed = false;
+        
+        // Sway runs in the vertex shader; uKelpBase/uKelpHeight are set from the model's bounds
+        this.swayUniforms = {
+            uTime: { value: 0 },
+            uKelpBase: { value: 0 },
+            uKelpHeight: { value: 1 },
+            uSwayScale: { value: 1 },  // Multiplies every strand's sway angle
+            uSwaySpeed: { value: 0.1 }
+        };
+        
+        // Shared by every kelp mesh so presets can recolour the whole forest at once.
+        // Instances are kept in back-to-front order (writeInstances), so they blend and write depth correctly.
+        this.colorOverride = null; // Preset colour; null follows --ocean-kelp-color
+        this.kelpMaterial = new THREE.MeshLambertMaterial({
+            color: this.getColor(),
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide
+        });
+        this.kelpMaterial.onBeforeCompile = (shader) => this.addSwayToShader(shader);
+        
+        this.isInitialized = false;
     }
 
     init() {
+        if (this.isInitialized) return;
+        this.isInitialized = true;
         this.loadModel();
         this.scene.add(this.kelpGroup);
     }
 
     loadModel() {
-        const KELP_MODEL_URL = '/models/kelp.glb';
-        const loader = new THREE.GLTFLoader();
+        // Shared loader: retries, progress overlay, and plain strands if the model never arrives
+        AssetLoader.shared.loadGLTF('/models/kelp.glb', (gltf) => this.onModelLoaded(gltf), {
+            placeholder: () => Kelp.createPlaceholder()
+        });
+    }
 
-        loader.load(
-            KELP_MODEL_URL,
-            (gltf) => this.onModelLoaded(gltf),
-            (xhr) => console.log('Kelp: ' + (xhr.loaded / xhr.total * 100) + '% loaded'),
-            (error) => {
-                console.error('Error loading kelp GLB model:', error);
-                console.log('Make sure the file exists at: ' + KELP_MODEL_URL);
-            }
-        );
+    // A single tapering strand standing on y = 0; the sway shader bends it like the real model
+    static createPlaceholder() {
+        const geometry = new THREE.CylinderGeometry(0.03, 0.08, 10, 5, 12);
+        geometry.translate(0, 5, 0);
+        return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial());
     }
 
-    onModelLoaded(gltf) {
-        console.log('Kelp GLB Model loaded successfully!');
+    // Bend each vertex by its height above the holdfast, so the tip sways and the base stays put
+    addSwayToShader(shader) {
+        Object.assign(shader.uniforms, this.swayUniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                attribute vec4 kelpSway; // phase, sway x, sway z, speed
+                attribute float kelpDisturbance;
+                uniform float uTime;
+                uniform float uKelpBase;
+                uniform float uKelpHeight;
+                uniform float uSwayScale;
+                uniform float uSwaySpeed;`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+                {
+                    float swayTime = uTime * uSwaySpeed;
+                    float along = max(position.y - uKelpBase, 0.0);
+                    float bend = clamp(along / uKelpHeight, 0.0, 1.0);
 
+                    float angleX = sin(swayTime * kelpSway.w + kelpSway.x) * kelpSway.y * uSwayScale;
+                    float angleZ = cos(swayTime * kelpSway.w * 0.7 + kelpSway.x) * kelpSway.z * uSwayScale;
+
+                    // Disturbed kelp wobbles faster on top of the slow sway
+                    float wobble = sin(uTime * 6.0 + kelpSway.x) * 0.12 * kelpDisturbance;
+                    angleX += wobble;
+                    angleZ += wobble * 0.6;
+
+                    transformed.z += along * bend * sin(angleX);
+                    transformed.x -= along * bend * sin(angleZ);
+                }`);
+    }
+
+    onModelLoaded(gltf) {
         const kelpModel = gltf.scene;
 
-        // Debug: Log model info
         const box = new THREE.Box3().setFromObject(kelpModel);
         const size = box.getSize(new THREE.Vector3());
-        console.log('Kelp model size:', size);
 
-        // Make kelp materials receive lighting with deep green color
-        kelpModel.traverse((child) => {
-            if (child.isMesh) {
-                child.material = new THREE.MeshLambertMaterial({
-                    color: 0x3d664c,
-                    transparent: true,
-                    opacity: 0.5,
-                    side: THREE.DoubleSide
-                });
-                child.material.needsUpdate = true;
-            }
-        });
+        this.swayUniforms.uKelpBase.value = box.min.y;
+        this.swayUniforms.uKelpHeight.value = Math.max(size.y, 0.001);
 
         // Create multiple kelp instances
         this.createKelpInstances(kelpModel);
-
-        console.log(`Created ${this.kelpCount} kelp instances`);
     }
 
     createKelpInstances(kelpModel) {
-        for (let i = 0; i < this.kelpCount; i++) {
-            // Clone the model for each instance
-            const kelp = kelpModel.clone();
+        const dummy = new THREE.Object3D();
+        this.placements = [];
 
+        for (let i = 0; i < this.kelpCount; i++) {
             // Calculate depth-based positioning
-            const kelpZ = (Math.random() * -35) - 7;
+            const kelpZ = (this.random() * -35) - 7;
             const depthFactor = (kelpZ + 5) / -25;
             const minScale = 0.8;
             const maxScale = 2.0;
             const scale = minScale + depthFactor * (maxScale - minScale);
 
             // Set scale based on depth
-            kelp.scale.set(scale, scale, scale);
+            dummy.scale.set(scale, scale, scale);
 
             // Position kelp
-            kelp.position.set(
-                (Math.random() - 0.5) * 50,
-                -15 - (Math.random() * 3), // Anchor below viewable area
+            dummy.position.set(
+                (this.random() - 0.5) * 50,
+                -15 - (this.random() * 3), // Anchor below viewable area
                 kelpZ
             );
 
             // Random rotation
-            kelp.rotation.y = Math.random() * Math.PI * 2;
-
-            // Store original rotation for animation
-            kelp.userData = {
-                baseRotationX: kelp.rotation.x,
-                baseRotationZ: kelp.rotation.z,
-                animationOffset: Math.random() * Math.PI * 2, // Random phase offset
-                swayIntensityX: 0.05 + Math.random() * 0.03, // Randomize sway intensity
-                swayIntensityZ: 0.05 + Math.random() * 0.03,
-                swaySpeed: 0.8 + Math.random() * 0.4 // Randomize sway speed
-            };
-
-            this.kelpGroup.add(kelp);
-            this.kelpObjects.push(kelp);
+            dummy.rotation.y = this.random() * Math.PI * 2;
+
+            dummy.updateMatrix();
+
+            // Per-instance sway: random phase offset, intensities and speed
+            const sway = [
+                this.random() * Math.PI * 2,
+                0.05 + this.random() * 0.03,
+                0.05 + this.random() * 0.03,
+                0.8 + this.random() * 0.4
+            ];
+
+            this.placements.push({ matrix: dummy.matrix.clone(), sway: sway, z: kelpZ });
         }
+
+        this.swayAttribute = new THREE.InstancedBufferAttribute(new Float32Array(this.kelpCount * 4), 4);
+
+        // Bake each mesh's transform inside the model so every instance only needs its own matrix
+        kelpModel.updateMatrixWorld(true);
+        kelpModel.traverse((child) => {
+            if (!child.isMesh) return;
+
+            const geometry = child.geometry.clone().applyMatrix4(child.matrixWorld);
+            geometry.setAttribute('kelpSway', this.swayAttribute);
+            geometry.setAttribute('kelpDisturbance', this.disturbance);
+
+            const mesh = new THREE.InstancedMesh(geometry, this.kelpMaterial, this.kelpCount);
+
+            // The instances spread far beyond the geometry's own bounds
+            mesh.frustumCulled = false;
+
+            this.kelpGroup.add(mesh);
+            this.kelpMeshes.push(mesh);
+        });
+
+        this.writeInstances();
     }
 
-    update() {
-        // Kelp animation (subtle swaying)
-        const time = performance.now() * 0.0001;
-        
-        this.kelpObjects.forEach((kelp, index) => {
-            const userData = kelp.userData;
-            
-            // Use individual animation properties for more varied motion
-            kelp.rotation.x = userData.baseRotationX + Math.sin(time * userData.swaySpeed + userData.animationOffset) * userData.swayIntensityX;
-            kelp.rotation.z = userData.baseRotationZ + Math.cos(time * userData.swaySpeed * 0.7 + userData.animationOffset) * userData.swayIntensityZ;
+    // Draw the fewest kelp the tier or preset allows (the model may still be loading)
+    refreshVisibleKelp() {
+        this.visibleKelpCount = Math.round(Math.min(this.tierKelpCount, this.presetKelpCount, this.kelpCount));
+        this.writeInstances();
+    }
+
+    // Upload the first visibleKelpCount placements (a random sample) sorted far to near. The camera always
+    // looks down -z, so this is the order transparent kelp has to be drawn in.
+    writeInstances() {
+        if (this.kelpMeshes.length === 0) return;
+
+        const visible = this.placements.slice(0, this.visibleKelpCount).sort((a, b) => a.z - b.z);
+        visible.forEach((placement, index) => {
+            this.kelpMeshes.forEach(mesh => mesh.setMatrixAt(index, placement.matrix));
+            this.swayAttribute.array.set(placement.sway, index * 4);
+        });
+
+        this.kelpMeshes.forEach(mesh => {
+            mesh.count = visible.length;
+            mesh.instanceMatrix.needsUpdate = true;
         });
+        this.swayAttribute.needsUpdate = true;
+
+        // Instance ids now point at different kelp
+        this.disturbance.array.fill(0);
+        this.disturbance.needsUpdate = true;
     }
 
-    dispose() {
-        this.kelpObjects.forEach(kelp => {
-            if (kelp.geometry) kelp.geometry.dispose();
-            if (kelp.material) {
-                if (Array.isArray(kelp.material)) {
-                    kelp.material.forEach(mat => mat.dispose());
-                } else {
-                    kelp.material.dispose();
-                }
-            }
+    // Quality tier hook
+    applyQualityTier(tier) {
+        this.tierKelpCount = tier.kelpCount;
+        this.refreshVisibleKelp();
+    }
+
+    // Kelp part of an ocean preset: { count, color, opacity }; a null colour follows --ocean-kelp-color
+    applyPreset(preset) {
+        const kelpPreset = preset.kelp;
+        if (!kelpPreset) return;
+
+        if (kelpPreset.count !== undefined) {
+            this.presetKelpCount = kelpPreset.count;
+            this.refreshVisibleKelp();
+        }
+        if (kelpPreset.color !== undefined) {
+            this.colorOverride = kelpPreset.color;
+            this.updateColors();
+        }
+        if (kelpPreset.opacity !== undefined) {
+            this.kelpMaterial.opacity = kelpPreset.opacity;
+        }
+    }
+
+    // Preset colour, else the CSS variable
+    getColor() {
+        if (this.colorOverride) return new THREE.Color(this.colorOverride).getHex();
+        return OceanBackground.getCSSColorAsHex('--ocean-kelp-color', 0x3d664c);
+    }
+
+    // Re-read --ocean-kelp-color (SceneTheme calls it when the variable changes)
+    updateColors() {
+        this.kelpMaterial.color.setHex(this.getColor());
+    }
+
+    // Make one kelp sway harder for a moment, e.g. disturb(event.hit.instanceId) when the cursor brushes it
+    disturb(instanceId, strength = 1) {
+        if (instanceId === undefined || instanceId < 0 || instanceId >= this.kelpCount) return;
+
+        const values = this.disturbance.array;
+        values[instanceId] = Math.min(Math.max(values[instanceId], strength), 1);
+        this.disturbance.needsUpdate = true;
+        this.isDisturbed = true;
+    }
+
+    update(dt, elapsed) {
+        // Kelp animation (subtle swaying, in the vertex shader)
+        this.swayUniforms.uTime.value = elapsed;
+
+        // Disturbances settle over about two seconds
+        if (!this.isDisturbed) return;
+
+        const values = this.disturbance.array;
+        let stillDisturbed = false;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] <= 0) continue;
+            values[i] = Math.max(values[i] - dt * 0.5, 0);
+            stillDisturbed = stillDisturbed || values[i] > 0;
+        }
+        this.disturbance.needsUpdate = true;
+        this.isDisturbed = stillDisturbed;
+    }
+
+    // SceneManager hook after a lost WebGL context came back: recompile the sway shader, re-upload the instances
+    restoreContext() {
+        this.kelpMaterial.needsUpdate = true;
+        this.kelpMeshes.forEach(mesh => {
+            mesh.instanceMatrix.needsUpdate = true;
         });
+        if (this.swayAttribute) this.swayAttribute.needsUpdate = true;
+        this.disturbance.needsUpdate = true;
+    }
+
+    dispose() {
+        SceneManager.disposeObject(this.kelpGroup);
+        this.kelpMeshes.forEach(mesh => mesh.dispose());
+        this.kelpMaterial.dispose(); // Also when the model never loaded
         
         if (this.kelpGroup) {
+            this.kelpGroup.clear(); // init() fills the same group again
             this.scene.remove(this.kelpGroup);
         }
         
-        this.kelpObjects = [];
+        this.kelpMeshes = [];
+        this.isInitialized = false;
     }
 }
 
+// CSS variables updateColors() reads (see SceneTheme)
+Kelp.THEME_VARIABLES = ['--ocean-kelp-color'];
+
 // Export for use in other files
-window.Kelp = Kelp;
\ No newline at end of file
+window.Kelp = Kelp;
@@ -5,9 +5,11 @@
 
 class OceanBackground {
     // Helper function to get CSS variable color and convert to Three.js hex
-    static getCSSColorAsHex(cssVarName) {
-        const root = document.documentElement;
-        const cssColor = getComputedStyle(root).getPropertyValue(cssVarName).trim();
+    static getCSSColorAsHex(cssVarName, fallback = 0x1f3d38) {
+        // Inside a worker there is no DOM; the page forwards the values (see oceanWorker.js)
+        const cssColor = OceanBackground.cssColors
+            ? (OceanBackground.cssColors[cssVarName] || '').trim()
+            : getComputedStyle(document.documentElement).getPropertyValue(cssVarName).trim();
         
         // Convert CSS hex color to Three.js hex number
         if (cssColor.startsWith('#')) {
@@ -23,8 +25,8 @@ class OceanBackground {
             return (r << 16) | (g << 8) | b;
         }
         
-        // Fallback to a default ocean color if parsing fails
-        return 0x1f3d38;
+        // Fallback (a default ocean color unless the caller has its own) if parsing fails
+        return fallback;
     }
     constructor(scene, camera, options = {}) {
         this.scene = scene;
@@ -34,8 +36,35 @@ class OceanBackground {
         this.originalPositions = null;
         this.mouseX = 0;
         this.mouseY = 0;
-        this.clock = new THREE.Clock();
         this.scrollDepth = 0;
+        this.random = options.random || Math.random; // Particle placement; sceneManager.createRandom() makes it repeatable
+        
+        // Particles allocated per layer; presets and the quality governor may draw fewer
+        this.particleCounts = options.particleCounts || [10000, 7000, 4000];
+        this.activeParticleCounts = this.particleCounts.slice();
+        this.presetParticleCounts = this.particleCounts.slice();
+        this.tierParticleCounts = this.particleCounts.slice();
+        
+        // Per-layer look: spread (units), point size, opacity, drift (units/second), wrap half extents.
+        // A null colour means the layer reads its CSS variable (layer 1 is tinted white).
+        this.particleLayers = [
+            { spread: [18, 18, 8], size: 0.035, opacity: 0.25, color: null, drift: [0, 0], wrap: [Infinity, Infinity] },
+            { spread: [22, 22, 10], size: 0.022, opacity: 0.22, color: null, drift: [0, 0.3], wrap: [Infinity, 17] },
+            { spread: [26, 26, 12], size: 0.018, opacity: 0.16, color: null, drift: [0.18, 0.24], wrap: [20, 20] }
+        ];
+        this.driftOffsets = this.particleLayers.map(() => new THREE.Vector2());
+        
+        // Base light intensities, before scroll-depth dimming
+        this.lightIntensities = { ambient: 0.15, directional: 0.15, cursor: 2.5, cursorAmbient: 1.5 };
+        
+        // Fog colours set by a preset (null = read the CSS variables)
+        this.fogColorOverrides = { surface: null, deep: null };
+        
+        // Light colours set by a preset (null = read the CSS variables)
+        this.lightColorOverrides = { ambient: null, directional: null };
+        
+        // Particle simulation runs in the vertex shader unless the CPU path is requested
+        this.useGpuParticles = options.particleMode !== 'cpu';
         
         // Scroll-based camera movement options
         this.enableScrollCameraMovement = options.enableScrollCameraMovement || false;
@@ -49,10 +78,12 @@ class OceanBackground {
         this.targetFogColor = OceanBackground.getCSSColorAsHex('--ocean-fog-deep');
         this.targetFogDensity = 0.20;   // Even denser fog for abyss effect
         
-        this.init();
+        this.isInitialized = false;
     }
 
     init() {
+        if (this.isInitialized) return;
+        this.isInitialized = true;
         this.setupFog();
         this.setupLighting();
         this.setupParticles();
@@ -72,11 +103,11 @@ class OceanBackground {
 
     setupLighting() {
         // Subtle ambient light to illuminate dark areas with a hint of green
-        this.ambientLight = new THREE.AmbientLight(OceanBackground.getCSSColorAsHex('--ocean-ambient-light'), 0.15);
+        this.ambientLight = new THREE.AmbientLight(this.getLightColor('ambient'), 0.15);
         this.scene.add(this.ambientLight);
 
         // Directional light for subtle shadows/depth
-        this.directionalLight = new THREE.DirectionalLight(OceanBackground.getCSSColorAsHex('--ocean-directional-light'), 0.15);
+        this.directionalLight = new THREE.DirectionalLight(this.getLightColor('directional'), 0.15);
         this.directionalLight.position.set(-5, 8, 3);
         this.scene.add(this.directionalLight);
 
@@ -91,8 +122,8 @@ class OceanBackground {
     }
 
     createParticleTexture() {
-        // Create a 2D canvas for a soft, glowing particle texture
-        const canvas2d = document.createElement('canvas');
+        // Create a 2D canvas for a soft, glowing particle texture (offscreen when running in a worker)
+        const canvas2d = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(32, 32);
         canvas2d.width = 32;
         canvas2d.height = 32;
         const ctx = canvas2d.getContext('2d');
@@ -107,6 +138,7 @@ class OceanBackground {
 
     setupParticles() {
         const particleTexture = this.createParticleTexture();
+        this.particleTexture = particleTexture;
 
         // Particle layer 1 (Foreground/Interactive)
         this.createParticleLayer1(particleTexture);
@@ -119,18 +151,21 @@ class OceanBackground {
     }
 
     createParticleLayer1(particleTexture) {
-        const particleCount = 10000;
+        const particleCount = this.particleCounts[0];
+        const { spread, size, opacity } = this.particleLayers[0];
         const particles = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
         const colors = new Float32Array(particleCount * 3);
+        const velocityAttribute = new Float32Array(particleCount * 3);
+        const phases = new Float32Array(particleCount);
         this.velocities = [];
         this.originalPositions = new Float32Array(particleCount * 3);
 
         for (let i = 0; i < particleCount; i++) {
             const i3 = i * 3;
-            positions[i3] = (Math.random() - 0.5) * 18;
-            positions[i3 + 1] = (Math.random() - 0.5) * 18;
-            positions[i3 + 2] = (Math.random() - 0.5) * 8;
+            positions[i3] = (this.random() - 0.5) * spread[0];
+            positions[i3 + 1] = (this.random() - 0.5) * spread[1];
+            positions[i3 + 2] = (this.random() - 0.5) * spread[2];
 
             this.originalPositions[i3] = positions[i3];
             this.originalPositions[i3 + 1] = positions[i3 + 1];
@@ -141,90 +176,299 @@ class OceanBackground {
             colors[i3 + 1] = 0.9;
             colors[i3 + 2] = 0.8;
 
-            this.velocities.push({
-                x: (Math.random() - 0.5) * 0.01,
-                y: (Math.random() - 0.5) * 0.008 + 0.003, // Slight upward drift
-                z: (Math.random() - 0.5) * 0.01
-            });
+            const velocity = {
+                x: (this.random() - 0.5) * 0.01,
+                y: (this.random() - 0.5) * 0.008 + 0.003, // Slight upward drift
+                z: (this.random() - 0.5) * 0.01
+            };
+            this.velocities.push(velocity);
+
+            velocityAttribute[i3] = velocity.x;
+            velocityAttribute[i3 + 1] = velocity.y;
+            velocityAttribute[i3 + 2] = velocity.z;
+            phases[i] = i * 0.1; // Same per-particle jitter offset as the CPU path
         }
 
         particles.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        particles.setAttribute('color', new THREE.BufferAttribute(colors, 3));
 
-        const particleMaterial = new THREE.PointsMaterial({
-            size: 0.035,
-            transparent: true,
-            opacity: 0.25,
-            sizeAttenuation: true,
-            blending: THREE.AdditiveBlending,
-            map: particleTexture,
-            depthWrite: false,
-            vertexColors: true
-        });
+        let particleMaterial;
+        if (this.useGpuParticles) {
+            // Positions stay the originals; the shader derives drift, jitter, repulsion and light colour
+            particles.setAttribute('velocity', new THREE.BufferAttribute(velocityAttribute, 3));
+            particles.setAttribute('phase', new THREE.BufferAttribute(phases, 1));
+
+            particleMaterial = this.createGpuParticleMaterial(OceanBackground.PARTICLE_SHADERS.interactiveVertex, {
+                size: size,
+                opacity: opacity,
+                color: this.getParticleLayerColor(0),
+                map: particleTexture
+            });
+        } else {
+            particles.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+            particleMaterial = new THREE.PointsMaterial({
+                size: size,
+                color: this.getParticleLayerColor(0),
+                transparent: true,
+                opacity: opacity,
+                sizeAttenuation: true,
+                blending: THREE.AdditiveBlending,
+                map: particleTexture,
+                depthWrite: false,
+                vertexColors: true
+            });
+        }
 
         this.particleSystem1 = new THREE.Points(particles, particleMaterial);
+        this.attachPointScale(this.particleSystem1);
         this.scene.add(this.particleSystem1);
         this.particleSystems.push(this.particleSystem1);
     }
 
     createParticleLayer2(particleTexture) {
-        const particleCount2 = 7000;
+        const particleCount2 = this.particleCounts[1];
+        const spread2 = this.particleLayers[1].spread;
         const particles2 = new THREE.BufferGeometry();
         const positions2 = new Float32Array(particleCount2 * 3);
 
         for (let i = 0; i < particleCount2; i++) {
             const i3 = i * 3;
-            positions2[i3] = (Math.random() - 0.5) * 22;
-            positions2[i3 + 1] = (Math.random() - 0.5) * 22;
-            positions2[i3 + 2] = (Math.random() - 0.5) * 10;
+            positions2[i3] = (this.random() - 0.5) * spread2[0];
+            positions2[i3 + 1] = (this.random() - 0.5) * spread2[1];
+            positions2[i3 + 2] = (this.random() - 0.5) * spread2[2];
         }
 
         particles2.setAttribute('position', new THREE.BufferAttribute(positions2, 3));
 
-        const particleMaterial2 = new THREE.PointsMaterial({
-            size: 0.022,
-            color: OceanBackground.getCSSColorAsHex('--ocean-particle-layer-2'),
-            transparent: true,
-            opacity: 0.22,
-            sizeAttenuation: true,
-            blending: THREE.AdditiveBlending,
-            map: particleTexture,
-            depthWrite: false
-        });
+        const particleMaterial2 = this.createDriftParticleMaterial(1, particleTexture);
 
         this.particleSystem2 = new THREE.Points(particles2, particleMaterial2);
+        this.attachPointScale(this.particleSystem2);
         this.scene.add(this.particleSystem2);
         this.particleSystems.push(this.particleSystem2);
     }
 
     createParticleLayer3(particleTexture) {
-        const particleCount3 = 4000;
+        const particleCount3 = this.particleCounts[2];
+        const spread3 = this.particleLayers[2].spread;
         const particles3 = new THREE.BufferGeometry();
         const positions3 = new Float32Array(particleCount3 * 3);
 
         for (let i = 0; i < particleCount3; i++) {
             const i3 = i * 3;
-            positions3[i3] = (Math.random() - 0.5) * 26;
-            positions3[i3 + 1] = (Math.random() - 0.5) * 26;
-            positions3[i3 + 2] = (Math.random() - 0.5) * 12;
+            positions3[i3] = (this.random() - 0.5) * spread3[0];
+            positions3[i3 + 1] = (this.random() - 0.5) * spread3[1];
+            positions3[i3 + 2] = (this.random() - 0.5) * spread3[2];
         }
 
         particles3.setAttribute('position', new THREE.BufferAttribute(positions3, 3));
 
-        const particleMaterial3 = new THREE.PointsMaterial({
-            size: 0.018,
-            color: OceanBackground.getCSSColorAsHex('--ocean-particle-layer-3'),
+        const particleMaterial3 = this.createDriftParticleMaterial(2, particleTexture);
+
+        this.particleSystem3 = new THREE.Points(particles3, particleMaterial3);
+        this.attachPointScale(this.particleSystem3);
+        this.scene.add(this.particleSystem3);
+        this.particleSystems.push(this.particleSystem3);
+    }
+
+    // Material for the drifting background layers (GPU or CPU depending on particleMode)
+    createDriftParticleMaterial(layerIndex, map) {
+        const { size, opacity, wrap } = this.particleLayers[layerIndex];
+        const color = this.getParticleLayerColor(layerIndex);
+
+        if (this.useGpuParticles) {
+            const material = this.createGpuParticleMaterial(OceanBackground.PARTICLE_SHADERS.driftVertex, {
+                size: size,
+                opacity: opacity,
+                color: color,
+                map: map
+            });
+            // Drift is accumulated on the CPU so speed changes (presets) don't make particles jump
+            material.uniforms.uDriftOffset = { value: this.driftOffsets[layerIndex] };
+            // Half extents the layer wraps around in; 0 disables wrapping on that axis
+            material.uniforms.uWrap = {
+                value: new THREE.Vector2(isFinite(wrap[0]) ? wrap[0] : 0, isFinite(wrap[1]) ? wrap[1] : 0)
+            };
+            return material;
+        }
+
+        return new THREE.PointsMaterial({
+            size: size,
+            color: color,
             transparent: true,
-            opacity: 0.16,
+            opacity: opacity,
             sizeAttenuation: true,
             blending: THREE.AdditiveBlending,
-            map: particleTexture,
+            map: map,
             depthWrite: false
         });
+    }
 
-        this.particleSystem3 = new THREE.Points(particles3, particleMaterial3);
-        this.scene.add(this.particleSystem3);
-        this.particleSystems.push(this.particleSystem3);
+    // ShaderMaterial that renders like PointsMaterial (size attenuation, map, fog) with time/cursor uniforms
+    createGpuParticleMaterial(vertexShader, { size, opacity, color, map }) {
+        // Merge clones textures, so the map is added afterwards to keep it shared
+        const uniforms = THREE.UniformsUtils.merge([
+            THREE.UniformsLib.fog,
+            {
+                uTime: { value: 0 },
+                uMouse: { value: new THREE.Vector2() },
+                uLight: { value: new THREE.Vector3(0, 0, 5) },
+                uSize: { value: size },
+                uScale: { value: window.innerHeight / 2 },
+                uOpacity: { value: opacity },
+                uColor: { value: new THREE.Color(color) },
+                uGlow: { value: 0 }
+            }
+        ]);
+        uniforms.uMap = { value: map };
+
+        return new THREE.ShaderMaterial({
+            uniforms: uniforms,
+            vertexShader: vertexShader,
+            fragmentShader: OceanBackground.PARTICLE_SHADERS.fragment,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            fog: true
+        });
+    }
+
+    // Keep GPU point size attenuation in step with the drawing buffer, like PointsMaterial does
+    attachPointScale(points) {
+        if (!points.material.isShaderMaterial) return;
+
+        const size = new THREE.Vector2();
+        points.onBeforeRender = (renderer) => {
+            renderer.getSize(size);
+            points.material.uniforms.uScale.value = size.y * renderer.getPixelRatio() * 0.5;
+        };
+    }
+
+    // Preset colour, else the layer's CSS variable (layer 1 has none and stays white)
+    getParticleLayerColor(layerIndex) {
+        const presetColor = this.particleLayers[layerIndex].color;
+        if (presetColor) return new THREE.Color(presetColor).getHex();
+        if (layerIndex === 0) return 0xffffff;
+        return OceanBackground.getCSSColorAsHex(`--ocean-particle-layer-${layerIndex + 1}`);
+    }
+
+    // Layer colour for either material type
+    setParticleLayerColor(system, hex) {
+        if (system.material.isShaderMaterial) {
+            system.material.uniforms.uColor.value.setHex(hex);
+        } else {
+            system.material.color.setHex(hex);
+        }
+    }
+
+    // Draw (and simulate) the fewest particles any of allocation, preset and quality tier asks for
+    refreshParticleCount(layerIndex) {
+        const count = Math.round(Math.min(
+            this.particleCounts[layerIndex],
+            this.presetParticleCounts[layerIndex],
+            this.tierParticleCounts[layerIndex]
+        ));
+        this.activeParticleCounts[layerIndex] = count;
+        this.particleSystems[layerIndex].geometry.setDrawRange(0, count);
+    }
+
+    // Quality tier hook: draw (and simulate) only the first N particles of each layer
+    applyQualityTier(tier) {
+        this.particleSystems.forEach((system, index) => {
+            this.tierParticleCounts[index] = tier.particleCounts[index];
+            this.refreshParticleCount(index);
+        });
+    }
+
+    /**
+     * Apply the ocean parts of a preset (see oceanPresets.js): fog, lights and particle layers.
+     * Missing fields keep their current value, so partial presets work too.
+     */
+    applyPreset(preset) {
+        const fog = preset.fog;
+        if (fog) {
+            if (fog.surfaceDensity !== undefined) this.originalFogDensity = fog.surfaceDensity;
+            if (fog.deepDensity !== undefined) this.targetFogDensity = fog.deepDensity;
+            if (fog.surfaceColor !== undefined) this.fogColorOverrides.surface = fog.surfaceColor;
+            if (fog.deepColor !== undefined) this.fogColorOverrides.deep = fog.deepColor;
+        }
+
+        if (preset.lights) {
+            Object.assign(this.lightIntensities, preset.lights);
+        }
+
+        if (preset.lightColors) {
+            Object.assign(this.lightColorOverrides, preset.lightColors);
+            this.ambientLight.color.setHex(this.getLightColor('ambient'));
+            this.directionalLight.color.setHex(this.getLightColor('directional'));
+        }
+
+        if (preset.particles) {
+            preset.particles.forEach((layerPreset, index) => {
+                if (this.particleSystems[index]) this.applyParticleLayerPreset(index, layerPreset);
+            });
+        }
+
+        // Fog and light intensities are recomputed for the current depth
+        this.updateScrollDepth(this.scrollDepth);
+    }
+
+    applyParticleLayerPreset(layerIndex, layerPreset) {
+        const system = this.particleSystems[layerIndex];
+        const layer = this.particleLayers[layerIndex];
+        const material = system.material;
+
+        if (layerPreset.count !== undefined) {
+            this.presetParticleCounts[layerIndex] = layerPreset.count;
+            this.refreshParticleCount(layerIndex);
+        }
+
+        // Positions were generated for the original spread; scale the layer instead of regenerating
+        if (layerPreset.spread) {
+            system.scale.set(
+                layerPreset.spread[0] / layer.spread[0],
+                layerPreset.spread[1] / layer.spread[1],
+                layerPreset.spread[2] / layer.spread[2]
+            );
+        }
+
+        if (layerPreset.size !== undefined) {
+            if (material.isShaderMaterial) material.uniforms.uSize.value = layerPreset.size;
+            else material.size = layerPreset.size;
+        }
+
+        if (layerPreset.opacity !== undefined) {
+            if (material.isShaderMaterial) material.uniforms.uOpacity.value = layerPreset.opacity;
+            else material.opacity = layerPreset.opacity;
+        }
+
+        if (layerPreset.color !== undefined) {
+            layer.color = layerPreset.color;
+            this.setParticleLayerColor(system, this.getParticleLayerColor(layerIndex));
+        }
+
+        if (layerPreset.drift) {
+            layer.drift = layerPreset.drift.slice();
+        }
+
+        // Bioluminescent twinkle (0-1); the CPU particle path has no shader to do it in
+        if (layerPreset.glow !== undefined && material.isShaderMaterial) {
+            material.uniforms.uGlow.value = layerPreset.glow;
+        }
+    }
+
+    // Preset fog colour, else the CSS variable ('surface' or 'deep')
+    getFogColor(which) {
+        const override = this.fogColorOverrides[which];
+        if (override) return new THREE.Color(override).getHex();
+        return OceanBackground.getCSSColorAsHex(which === 'surface' ? '--ocean-fog-surface' : '--ocean-fog-deep');
+    }
+
+    // Preset light colour, else the CSS variable ('ambient' or 'directional')
+    getLightColor(which) {
+        const override = this.lightColorOverrides[which];
+        if (override) return new THREE.Color(override).getHex();
+        return OceanBackground.getCSSColorAsHex(which === 'ambient' ? '--ocean-ambient-light' : '--ocean-directional-light');
     }
 
     updateMousePosition(mouseX, mouseY) {
@@ -235,9 +479,9 @@ class OceanBackground {
     updateScrollDepth(scrollProgress) {
         this.scrollDepth = scrollProgress;
         
-        // Read CSS variables dynamically to support runtime color changes
-        const originalFogColor = OceanBackground.getCSSColorAsHex('--ocean-fog-surface');
-        const targetFogColor = OceanBackground.getCSSColorAsHex('--ocean-fog-deep');
+        // Read CSS variables dynamically to support runtime color changes (unless a preset overrides them)
+        const originalFogColor = this.getFogColor('surface');
+        const targetFogColor = this.getFogColor('deep');
         
         // Interpolate fog color from original to target based on scroll
         const originalColor = new THREE.Color(originalFogColor);
@@ -253,55 +497,64 @@ class OceanBackground {
         // Update renderer background color to match fog
         this.scene.background = currentColor;
         
-        // Reduce ambient lighting intensity as we go deeper (more dramatic)
-        if (this.ambientLight) {
-            this.ambientLight.intensity = 0.15 * (1 - scrollProgress * 0.9); // Reduce by up to 90%
-        }
-        
-        if (this.directionalLight) {
-            this.directionalLight.intensity = 0.15 * (1 - scrollProgress * 0.95); // Reduce by up to 95%
-        }
-        
-        // Make cursor lights dimmer in deep water but keep some visibility
-        if (this.cursorPointLight) {
-            this.cursorPointLight.intensity = 2.5 * (1 - scrollProgress * 0.5); // Reduce by up to 50%
-        }
-        
-        if (this.cursorAmbientLight) {
-            this.cursorAmbientLight.intensity = 1.2 * (1 - scrollProgress * 0.5); // Reduce by up to 50%
-        }
+        // Dim the lights as we go deeper (more dramatic)
+        Object.keys(OceanBackground.DEPTH_DIMMING).forEach(name => {
+            const light = this.getLight(name);
+            if (light) light.intensity = this.getDepthLightIntensity(name);
+        });
+    }
+
+    // 'ambient', 'directional', 'cursor' or 'cursorAmbient'
+    getLight(name) {
+        return this[OceanBackground.LIGHTS[name]];
+    }
+
+    // A light's base intensity dimmed for the current scroll depth
+    getDepthLightIntensity(name) {
+        return this.lightIntensities[name] * (1 - this.scrollDepth * OceanBackground.DEPTH_DIMMING[name]);
     }
 
     // Enable scroll-based camera movement effects
     enableScrollEffects() {
         if (!this.enableScrollCameraMovement) return;
         
-        window.addEventListener('scroll', () => {
+        // In a worker the page posts the scroll progress to applyScrollProgress() instead
+        if (typeof document === 'undefined') return;
+        
+        this.onScroll = () => {
             // Calculate scroll progress (0 to 1)
             const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
             const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
             const scrollProgress = Math.min(Math.max(scrollTop / scrollHeight, 0), 1);
             
-            // Update ocean background darkness (already handled by updateScrollDepth)
-            this.updateScrollDepth(scrollProgress);
-            
-            // Move camera down and tilt it to look slightly upward as we dive deeper
-            const cameraDepth = scrollProgress * 20; // Move down up to 20 units
-            const newCameraY = this.initialCameraY - cameraDepth;
-            
-            // Update the base position in CameraMovement system
-            if (this.cameraMovement && this.cameraMovement.updateCameraBasePosition) {
-                this.cameraMovement.updateCameraBasePosition(this.camera, undefined, newCameraY, undefined);
-            }
-            
-            // Add slight upward tilt as we go deeper (looking up toward surface)
-            const tiltAngle = scrollProgress * 0.1; // Gradual upward tilt
-            this.camera.rotation.x = tiltAngle;
-        });
+            this.applyScrollProgress(scrollProgress);
+        };
+        window.addEventListener('scroll', this.onScroll);
     }
 
-    update() {
-        const elapsedTime = this.clock.getElapsedTime();
+    // Scroll progress (0 to 1) drives depth darkening and the camera dive
+    applyScrollProgress(scrollProgress) {
+        // Update ocean background darkness (already handled by updateScrollDepth)
+        this.updateScrollDepth(scrollProgress);
+        
+        // Move camera down and tilt it to look slightly upward as we dive deeper
+        const cameraDepth = scrollProgress * 20; // Move down up to 20 units
+        const newCameraY = this.initialCameraY - cameraDepth;
+        
+        // Update the base position in CameraMovement system
+        if (this.cameraMovement && this.cameraMovement.updateCameraBasePosition) {
+            this.cameraMovement.updateCameraBasePosition(this.camera, undefined, newCameraY, undefined);
+        }
+        
+        // Add slight upward tilt as we go deeper (looking up toward surface)
+        const tiltAngle = scrollProgress * 0.1; // Gradual upward tilt
+        this.camera.rotation.x = tiltAngle;
+    }
+
+    // dt: seconds since last frame, elapsed: seconds since start (from SceneManager)
+    update(dt, elapsed) {
+        // Motion constants below were tuned per frame at 60fps
+        const step = dt * 60;
 
         // Update cursor lights
         const lightX = this.mouseX * 10;
@@ -309,20 +562,42 @@ class OceanBackground {
 
         this.cursorPointLight.position.x = lightX;
         this.cursorPointLight.position.y = lightY;
-        this.cursorPointLight.intensity = 2.5;
+        this.cursorPointLight.intensity = this.lightIntensities.cursor;
 
         this.cursorAmbientLight.position.x = lightX;
         this.cursorAmbientLight.position.y = lightY;
-        this.cursorAmbientLight.intensity = 1.5;
+        this.cursorAmbientLight.intensity = this.lightIntensities.cursorAmbient;
 
         // Update particle systems
-        this.updateParticleLayer1(elapsedTime, lightX, lightY);
-        this.updateParticleLayer2();
-        this.updateParticleLayer3();
+        if (this.useGpuParticles) {
+            this.updateGpuParticles(dt, elapsed, lightX, lightY);
+        } else {
+            this.updateParticleLayer1(elapsed, step, lightX, lightY);
+            this.updateParticleLayer2(dt);
+            this.updateParticleLayer3(dt);
+        }
+    }
+
+    // GPU path: only uniforms change, the buffers are never re-uploaded
+    updateGpuParticles(dt, elapsedTime, lightX, lightY) {
+        this.particleSystems.forEach((system, index) => {
+            const uniforms = system.material.uniforms;
+            uniforms.uTime.value = elapsedTime;
+            uniforms.uMouse.value.set(this.mouseX, this.mouseY);
+            uniforms.uLight.value.set(lightX, lightY, 5);
+
+            // Accumulate drift, folded back into the wrap range so the float never grows large
+            const { drift, wrap } = this.particleLayers[index];
+            const offset = this.driftOffsets[index];
+            offset.x += drift[0] * dt;
+            offset.y += drift[1] * dt;
+            if (isFinite(wrap[0])) offset.x %= wrap[0] * 2;
+            if (isFinite(wrap[1])) offset.y %= wrap[1] * 2;
+        });
     }
 
-    updateParticleLayer1(elapsedTime, lightX, lightY) {
-        const particleCount = 10000;
+    updateParticleLayer1(elapsedTime, step, lightX, lightY) {
+        const particleCount = this.activeParticleCounts[0];
         const positions = this.particleSystem1.geometry.attributes.position.array;
         const colors = this.particleSystem1.geometry.attributes.color.array;
 
@@ -336,7 +611,7 @@ class OceanBackground {
             const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
 
             if (distance < 1.2) {
-                const force = (1.2 - distance) * 0.012;
+                const force = (1.2 - distance) * 0.012 * step;
                 positions[i] -= dx * force;
                 positions[i + 1] -= dy * force;
                 positions[i + 2] -= dz * force;
@@ -365,20 +640,21 @@ class OceanBackground {
             colors[i + 2] = baseB + (lightB - baseB) * lightIntensity;
 
             // Simple drift based on initial velocity
-            positions[i] += this.velocities[index].x;
-            positions[i + 1] += this.velocities[index].y;
-            positions[i + 2] += this.velocities[index].z;
+            positions[i] += this.velocities[index].x * step;
+            positions[i + 1] += this.velocities[index].y * step;
+            positions[i + 2] += this.velocities[index].z * step;
 
             // Constant jitter/wiggle for perpetual motion
-            const jitterSpeed = 0.001;
+            const jitterSpeed = 0.001 * step;
             positions[i] += Math.sin(elapsedTime * 0.5 + index * 0.1) * jitterSpeed;
             positions[i + 1] += Math.cos(elapsedTime * 0.6 + index * 0.1) * jitterSpeed;
             positions[i + 2] += Math.sin(elapsedTime * 0.7 + index * 0.1) * jitterSpeed * 0.5;
 
             // Damping to original position
-            positions[i] += (this.originalPositions[i] - positions[i]) * 0.005;
-            positions[i + 1] += (this.originalPositions[i + 1] - positions[i + 1]) * 0.005;
-            positions[i + 2] += (this.originalPositions[i + 2] - positions[i + 2]) * 0.005;
+            const damping = 0.005 * step;
+            positions[i] += (this.originalPositions[i] - positions[i]) * damping;
+            positions[i + 1] += (this.originalPositions[i + 1] - positions[i + 1]) * damping;
+            positions[i + 2] += (this.originalPositions[i + 2] - positions[i + 2]) * damping;
 
             // Boundary wrap-around
             if (Math.abs(positions[i]) > 18) positions[i] = this.originalPositions[i] * -1;
@@ -390,37 +666,39 @@ class OceanBackground {
         this.particleSystem1.geometry.attributes.color.needsUpdate = true;
     }
 
-    updateParticleLayer2() {
-        const particleCount2 = 7000;
+    updateParticleLayer2(dt) {
+        const particleCount2 = this.activeParticleCounts[1];
         const positions2 = this.particleSystem2.geometry.attributes.position.array;
+        const { drift, wrap } = this.particleLayers[1];
         for (let i = 0; i < particleCount2 * 3; i += 3) {
-            positions2[i + 1] += 0.005;
-            if (positions2[i + 1] > 17) positions2[i + 1] = -17;
+            positions2[i + 1] += drift[1] * dt;
+            if (positions2[i + 1] > wrap[1]) positions2[i + 1] = -wrap[1];
         }
         this.particleSystem2.geometry.attributes.position.needsUpdate = true;
     }
 
-    updateParticleLayer3() {
-        const particleCount3 = 4000;
+    updateParticleLayer3(dt) {
+        const particleCount3 = this.activeParticleCounts[2];
         const positions3 = this.particleSystem3.geometry.attributes.position.array;
+        const { drift, wrap } = this.particleLayers[2];
         for (let i = 0; i < particleCount3 * 3; i += 3) {
-            positions3[i] += 0.003;
-            positions3[i + 1] += 0.004;
-            if (positions3[i + 1] > 20) positions3[i + 1] = -20;
-            if (Math.abs(positions3[i]) > 20) positions3[i] = positions3[i] * -1;
+            positions3[i] += drift[0] * dt;
+            positions3[i + 1] += drift[1] * dt;
+            if (positions3[i + 1] > wrap[1]) positions3[i + 1] = -wrap[1];
+            if (Math.abs(positions3[i]) > wrap[0]) positions3[i] = positions3[i] * -1;
         }
         this.particleSystem3.geometry.attributes.position.needsUpdate = true;
     }
 
-    // Method to update colors dynamically when CSS variables change
+    // Method to update colors dynamically when CSS variables change (SceneTheme calls it for THEME_VARIABLES)
     updateColors() {
         // Update lighting colors
         if (this.ambientLight) {
-            this.ambientLight.color.setHex(OceanBackground.getCSSColorAsHex('--ocean-ambient-light'));
+            this.ambientLight.color.setHex(this.getLightColor('ambient'));
         }
         
         if (this.directionalLight) {
-            this.directionalLight.color.setHex(OceanBackground.getCSSColorAsHex('--ocean-directional-light'));
+            this.directionalLight.color.setHex(this.getLightColor('directional'));
         }
         
         if (this.cursorPointLight) {
@@ -433,25 +711,166 @@ class OceanBackground {
         
         // Update particle colors
         if (this.particleSystem2 && this.particleSystem2.material) {
-            this.particleSystem2.material.color.setHex(OceanBackground.getCSSColorAsHex('--ocean-particle-layer-2'));
+            this.setParticleLayerColor(this.particleSystem2, this.getParticleLayerColor(1));
         }
         
         if (this.particleSystem3 && this.particleSystem3.material) {
-            this.particleSystem3.material.color.setHex(OceanBackground.getCSSColorAsHex('--ocean-particle-layer-3'));
+            this.setParticleLayerColor(this.particleSystem3, this.getParticleLayerColor(2));
         }
         
         // Update fog colors (this will trigger on next scroll update anyway)
         this.updateScrollDepth(this.scrollDepth);
     }
 
+    // SceneManager hook after a lost WebGL context came back: upload the particle texture and shaders again
+    restoreContext() {
+        if (this.particleTexture) this.particleTexture.needsUpdate = true;
+        this.particleSystems.forEach(system => {
+            system.material.needsUpdate = true;
+        });
+    }
+
     dispose() {
+        if (this.onScroll) {
+            window.removeEventListener('scroll', this.onScroll);
+        }
+
         this.particleSystems.forEach(system => {
             if (system.geometry) system.geometry.dispose();
             if (system.material) system.material.dispose();
             this.scene.remove(system);
         });
+        this.particleSystems = [];
+
+        if (this.particleTexture) {
+            this.particleTexture.dispose();
+        }
+
+        [this.ambientLight, this.directionalLight, this.cursorPointLight, this.cursorAmbientLight].forEach(light => {
+            if (light) this.scene.remove(light);
+        });
+
+        this.scene.fog = null;
+        this.scene.background = null;
+        this.isInitialized = false;
     }
 }
 
+// Light behind each lightIntensities key
+OceanBackground.LIGHTS = {
+    ambient: 'ambientLight',
+    directional: 'directionalLight',
+    cursor: 'cursorPointLight',
+    cursorAmbient: 'cursorAmbientLight'
+};
+
+// How much of each light is gone at full depth; the cursor lights keep some visibility
+OceanBackground.DEPTH_DIMMING = { ambient: 0.9, directional: 0.95, cursor: 0.5, cursorAmbient: 0.5 };
+
+// Shaders for the GPU particle path. They reproduce the settled state of the CPU simulation:
+// damping (0.005 per 60fps frame = 0.3/s) pulls each particle back, so drift and jitter become bounded offsets.
+OceanBackground.PARTICLE_SHADERS = {
+    interactiveVertex: `
+        uniform float uTime;
+        uniform vec2 uMouse;
+        uniform vec3 uLight;
+        uniform float uSize;
+        uniform float uScale;
+        uniform float uGlow;
+        attribute vec3 velocity;
+        attribute float phase;
+        varying vec3 vColor;
+        #include <fog_pars_vertex>
+
+        void main() {
+            vec3 p = position;
+
+            // Drift settles at velocity / damping away from the origin, easing in from the start
+            p += velocity * 200.0 * (1.0 - exp(-0.3 * uTime));
+
+            // Jitter: steady-state amplitude of the damped per-frame wiggle
+            p.x += sin(uTime * 0.5 + phase) * 0.103;
+            p.y += cos(uTime * 0.6 + phase) * 0.089;
+            p.z += sin(uTime * 0.7 + phase) * 0.039;
+
+            // Cursor repulsion: push particles inside the 1.2 radius most of the way to its edge
+            vec3 fromCursor = p - vec3(uMouse * 5.0, 3.0);
+            float cursorDistance = length(fromCursor);
+            if (cursorDistance < 1.2 && cursorDistance > 0.0001) {
+                float pushedDistance = cursorDistance + (1.2 - cursorDistance) * 0.6;
+                p += fromCursor / cursorDistance * (pushedDistance - cursorDistance);
+            }
+
+            // Light colour: green-white base towards gold near the cursor light
+            float lightDistance = distance(uLight, p);
+            float lightIntensity = lightDistance < 8.0 ? pow(1.0 - lightDistance / 8.0, 3.0) * 1.5 : 0.0;
+            vColor = mix(vec3(0.8, 0.9, 0.8), vec3(0.95, 0.85, 0.4), lightIntensity);
+
+            // Night glow: each particle pulses brighter on its own rhythm
+            vColor *= 1.0 + uGlow * (0.5 + 0.5 * sin(uTime * 1.3 + phase * 7.0)) * 1.5;
+
+            vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+            gl_PointSize = uSize * (uScale / -mvPosition.z);
+            gl_Position = projectionMatrix * mvPosition;
+            #include <fog_vertex>
+        }
+    `,
+
+    driftVertex: `
+        uniform float uTime;
+        uniform float uSize;
+        uniform float uScale;
+        uniform vec2 uDriftOffset;
+        uniform vec2 uWrap;
+        uniform float uGlow;
+        varying vec3 vColor;
+        #include <fog_pars_vertex>
+
+        void main() {
+            vec3 p = position;
+
+            // Constant drift, wrapped into [-wrap, wrap] like the CPU boundary checks
+            p.xy += uDriftOffset;
+            if (uWrap.x > 0.0) p.x = mod(p.x + uWrap.x, uWrap.x * 2.0) - uWrap.x;
+            if (uWrap.y > 0.0) p.y = mod(p.y + uWrap.y, uWrap.y * 2.0) - uWrap.y;
+            // Night glow, phased by the particle's start position
+            vColor = vec3(1.0 + uGlow * (0.5 + 0.5 * sin(uTime * 1.3 + dot(position, vec3(1.7, 9.2, 4.1)))) * 1.5);
+
+            vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+            gl_PointSize = uSize * (uScale / -mvPosition.z);
+            gl_Position = projectionMatrix * mvPosition;
+            #include <fog_vertex>
+        }
+    `,
+
+    fragment: `
+        uniform vec3 uColor;
+        uniform float uOpacity;
+        uniform sampler2D uMap;
+        varying vec3 vColor;
+        #include <fog_pars_fragment>
+
+        void main() {
+            gl_FragColor = vec4(uColor * vColor, uOpacity) * texture2D(uMap, gl_PointCoord);
+            #include <fog_fragment>
+        }
+    `
+};
+
+// CSS variable values forwarded from the page when running in a worker (null = read the document)
+OceanBackground.cssColors = null;
+
+// CSS variables updateColors() reads; SceneTheme calls it when one of them changes
+OceanBackground.THEME_VARIABLES = [
+    '--ocean-fog-surface',
+    '--ocean-fog-deep',
+    '--ocean-ambient-light',
+    '--ocean-directional-light',
+    '--ocean-cursor-light',
+    '--ocean-cursor-ambient',
+    '--ocean-particle-layer-2',
+    '--ocean-particle-layer-3'
+];
+
 // Export for use in other files
 window.OceanBackground = OceanBackground;
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * Ocean Presets
+ * Named, plain-JSON looks ("biomes") for the ocean scene, applied to OceanBackground, Kelp and Submarine
+ *
+ * A preset may set any subset of:
+ *   fog:        { surfaceColor, deepColor, surfaceDensity, deepDensity }   colours '#rrggbb' or null (= CSS variable)
+ *   lights:     { ambient, directional, cursor, cursorAmbient }            base intensities before scroll dimming
+ *   lightColors: { ambient, directional }                                  '#rrggbb' or null (= CSS variable)
+ *   particles:  [{ count, spread: [x, y, z], size, opacity, color, drift: [x, y], glow }, ...]   one entry per layer
+ *   kelp:       { count, color, opacity }                                  color '#rrggbb' or null (= CSS variable)
+ *   submarine:  { enabled, position: [x, y, z], spotlightIntensity, beamOpacity }
+ *
+ * glow (0-1) makes a layer's particles pulse like bioluminescence.
+ */
+
+class OceanPresets {
+    constructor(systems = {}) {
+        this.systems = [systems.oceanBackground, systems.kelp, systems.submarine].filter(Boolean);
+        this.currentPreset = null;
+
+        // Active blend (see blendTo)
+        this.blendFrom = null;
+        this.blendTarget = null;
+        this.blendDuration = 0;
+        this.blendElapsed = 0;
+    }
+
+    static register(name, preset) {
+        OceanPresets.registry[name] = preset;
+    }
+
+    static get(name) {
+        const preset = OceanPresets.registry[name];
+        if (!preset) {
+            console.warn(`OceanPresets: unknown preset "${name}"`);
+            return null;
+        }
+        return preset;
+    }
+
+    // Accept a registered name or a preset object
+    static resolve(presetOrName) {
+        return typeof presetOrName === 'string' ? OceanPresets.get(presetOrName) : presetOrName;
+    }
+
+    // Replace null colours with what the scene currently shows, so they can be interpolated
+    static withResolvedColors(preset) {
+        const resolved = JSON.parse(JSON.stringify(preset));
+        const cssColor = (name) => '#' + new THREE.Color(OceanBackground.getCSSColorAsHex(name)).getHexString();
+
+        if (resolved.fog) {
+            if (resolved.fog.surfaceColor === null) resolved.fog.surfaceColor = cssColor('--ocean-fog-surface');
+            if (resolved.fog.deepColor === null) resolved.fog.deepColor = cssColor('--ocean-fog-deep');
+        }
+        if (resolved.lightColors) {
+            if (resolved.lightColors.ambient === null) resolved.lightColors.ambient = cssColor('--ocean-ambient-light');
+            if (resolved.lightColors.directional === null) resolved.lightColors.directional = cssColor('--ocean-directional-light');
+        }
+        if (resolved.particles) {
+            resolved.particles.forEach((layer, index) => {
+                if (layer.color !== null) return;
+                layer.color = index === 0 ? '#ffffff' : cssColor(`--ocean-particle-layer-${index + 1}`);
+            });
+        }
+        if (resolved.kelp && resolved.kelp.color === null) {
+            resolved.kelp.color = '#' + new THREE.Color(OceanBackground.getCSSColorAsHex('--ocean-kelp-color', 0x3d664c)).getHexString();
+        }
+        return resolved;
+    }
+
+    /**
+     * Interpolate two presets (t = 0 gives a, t = 1 gives b). Numbers and '#rrggbb' colours are mixed,
+     * arrays per element, anything else (booleans) switches halfway. Fields only one side has are kept.
+     */
+    static blend(a, b, t) {
+        if (a === undefined || a === null) return b;
+        if (b === undefined || b === null) return a;
+
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a + (b - a) * t;
+        }
+
+        if (typeof a === 'string' && typeof b === 'string' && a[0] === '#' && b[0] === '#') {
+            return '#' + new THREE.Color(a).lerp(new THREE.Color(b), t).getHexString();
+        }
+
+        if (Array.isArray(a) && Array.isArray(b)) {
+            const length = Math.max(a.length, b.length);
+            const result = [];
+            for (let i = 0; i < length; i++) {
+                result.push(OceanPresets.blend(a[i], b[i], t));
+            }
+            return result;
+        }
+
+        if (typeof a === 'object' && typeof b === 'object') {
+            const result = {};
+            new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+                result[key] = OceanPresets.blend(a[key], b[key], t);
+            });
+            return result;
+        }
+
+        return t < 0.5 ? a : b;
+    }
+
+    // Switch to a preset immediately (cancels any running blend)
+    apply(presetOrName) {
+        const preset = OceanPresets.resolve(presetOrName);
+        if (!preset) return;
+
+        this.blendTarget = null;
+        this.currentPreset = preset;
+        this.push(preset);
+    }
+
+    // Mix two presets at a fixed ratio, e.g. driven by scroll position
+    mix(presetOrNameA, presetOrNameB, t) {
+        const a = OceanPresets.resolve(presetOrNameA);
+        const b = OceanPresets.resolve(presetOrNameB);
+        if (!a || !b) return;
+
+        this.blendTarget = null;
+        this.currentPreset = OceanPresets.blend(
+            OceanPresets.withResolvedColors(a),
+            OceanPresets.withResolvedColors(b),
+            Math.max(0, Math.min(1, t))
+        );
+        this.push(this.currentPreset);
+    }
+
+    // Fade from the current look to a preset over `duration` seconds of scene time
+    blendTo(presetOrName, duration = 3) {
+        const target = OceanPresets.resolve(presetOrName);
+        if (!target) return;
+
+        if (duration <= 0) {
+            this.apply(target);
+            return;
+        }
+
+        this.blendFrom = OceanPresets.withResolvedColors(this.currentPreset || OceanPresets.registry.default);
+        this.blendTarget = OceanPresets.withResolvedColors(target);
+        this.blendDuration = duration;
+        this.blendElapsed = 0;
+    }
+
+    isBlending() {
+        return this.blendTarget !== null;
+    }
+
+    push(preset) {
+        this.systems.forEach(system => {
+            if (typeof system.applyPreset === 'function') system.applyPreset(preset);
+        });
+    }
+
+    update(dt) {
+        if (!this.blendTarget) return;
+
+        this.blendElapsed += dt;
+        const progress = Math.min(this.blendElapsed / this.blendDuration, 1);
+        const eased = progress * progress * (3 - 2 * progress); // Smoothstep
+
+        this.currentPreset = OceanPresets.blend(this.blendFrom, this.blendTarget, eased);
+        this.push(this.currentPreset);
+
+        if (progress >= 1) {
+            this.blendFrom = null;
+            this.blendTarget = null;
+        }
+    }
+}
+
+// Built-in presets. 'default' matches the scene's original look; null colours follow the page's CSS variables.
+// 'noon', 'dusk' and 'night' are the palettes TimeOfDay moves between.
+OceanPresets.registry = {
+    default: {
+        fog: { surfaceColor: null, deepColor: null, surfaceDensity: 0.08, deepDensity: 0.20 },
+        lights: { ambient: 0.15, directional: 0.15, cursor: 2.5, cursorAmbient: 1.5 },
+        lightColors: { ambient: null, directional: null },
+        particles: [
+            { count: 10000, spread: [18, 18, 8], size: 0.035, opacity: 0.25, color: null, drift: [0, 0], glow: 0 },
+            { count: 7000, spread: [22, 22, 10], size: 0.022, opacity: 0.22, color: null, drift: [0, 0.3], glow: 0 },
+            { count: 4000, spread: [26, 26, 12], size: 0.018, opacity: 0.16, color: null, drift: [0.18, 0.24], glow: 0 }
+        ],
+        kelp: { count: 400, color: null, opacity: 0.5 },
+        submarine: { enabled: true, position: [-12, 0, -15], spotlightIntensity: 1.5, beamOpacity: 0.18 }
+    },
+    noon: {
+        fog: { surfaceColor: '#2f7f8f', deepColor: '#0f3b4d', surfaceDensity: 0.06, deepDensity: 0.17 },
+        lights: { ambient: 0.3, directional: 0.45, cursor: 2.2, cursorAmbient: 1.3 },
+        lightColors: { ambient: '#cfe8e0', directional: '#fff6dc' },
+        particles: [
+            { count: 10000, spread: [18, 18, 8], size: 0.035, opacity: 0.22, color: '#f2fff8', drift: [0, 0], glow: 0 },
+            { count: 7000, spread: [22, 22, 10], size: 0.022, opacity: 0.2, color: '#a8e0d4', drift: [0, 0.3], glow: 0 },
+            { count: 4000, spread: [26, 26, 12], size: 0.018, opacity: 0.14, color: '#6fb8c0', drift: [0.18, 0.24], glow: 0 }
+        ],
+        kelp: { count: 400, color: '#4a7d55', opacity: 0.5 },
+        submarine: { enabled: true, position: [-12, 0, -15], spotlightIntensity: 1.0, beamOpacity: 0.1 }
+    },
+    dusk: {
+        fog: { surfaceColor: '#4a3b52', deepColor: '#141726', surfaceDensity: 0.09, deepDensity: 0.21 },
+        lights: { ambient: 0.15, directional: 0.25, cursor: 2.6, cursorAmbient: 1.5 },
+        lightColors: { ambient: '#c98f7a', directional: '#ffae66' },
+        particles: [
+            { count: 10000, spread: [18, 18, 8], size: 0.035, opacity: 0.25, color: '#ffe2c4', drift: [0, 0], glow: 0.15 },
+            { count: 7000, spread: [22, 22, 10], size: 0.022, opacity: 0.2, color: '#c98a6b', drift: [0, 0.25], glow: 0 },
+            { count: 4000, spread: [26, 26, 12], size: 0.018, opacity: 0.14, color: '#6b4f73', drift: [0.15, 0.2], glow: 0 }
+        ],
+        kelp: { count: 400, color: '#3a5443', opacity: 0.45 },
+        submarine: { enabled: true, position: [-12, 0, -15], spotlightIntensity: 2.0, beamOpacity: 0.22 }
+    },
+    // Bioluminescent: dark water, glowing plankton and the submarine's lights turned up
+    night: {
+        fog: { surfaceColor: '#050d14', deepColor: '#010305', surfaceDensity: 0.10, deepDensity: 0.24 },
+        lights: { ambient: 0.05, directional: 0.03, cursor: 3.0, cursorAmbient: 1.8 },
+        lightColors: { ambient: '#3a5a78', directional: '#7f9fc4' },
+        particles: [
+            { count: 10000, spread: [18, 18, 8], size: 0.04, opacity: 0.4, color: '#7ff5e0', drift: [0, 0], glow: 1 },
+            { count: 7000, spread: [22, 22, 10], size: 0.024, opacity: 0.24, color: '#3ac8d8', drift: [0, 0.2], glow: 0.8 },
+            { count: 4000, spread: [26, 26, 12], size: 0.018, opacity: 0.14, color: '#1d6c8c', drift: [0.12, 0.16], glow: 0.5 }
+        ],
+        kelp: { count: 400, color: '#1c3328', opacity: 0.4 },
+        submarine: { enabled: true, position: [-12, 0, -15], spotlightIntensity: 3.0, beamOpacity: 0.32 }
+    },
+    murky: {
+        fog: { surfaceColor: '#2e3b26', deepColor: '#141a10', surfaceDensity: 0.16, deepDensity: 0.30 },
+        lights: { ambient: 0.2, directional: 0.05, cursor: 2.0, cursorAmbient: 1.2 },
+        lightColors: { ambient: null, directional: null },
+        particles: [
+            { count: 10000, spread: [16, 16, 8], size: 0.045, opacity: 0.3, color: '#b8b58a', drift: [0, 0], glow: 0 },
+            { count: 7000, spread: [20, 20, 10], size: 0.03, opacity: 0.26, color: '#6b6a45', drift: [0, 0.12], glow: 0 },
+            { count: 4000, spread: [24, 24, 12], size: 0.024, opacity: 0.2, color: '#4a4a30', drift: [0.06, 0.1], glow: 0 }
+        ],
+        kelp: { count: 200, color: '#3a4a2a', opacity: 0.6 },
+        submarine: { enabled: false, position: [-12, 0, -15], spotlightIntensity: 1.5, beamOpacity: 0.18 }
+    },
+    tropical: {
+        fog: { surfaceColor: '#1d8a94', deepColor: '#0b4a66', surfaceDensity: 0.05, deepDensity: 0.14 },
+        lights: { ambient: 0.35, directional: 0.4, cursor: 2.0, cursorAmbient: 1.2 },
+        lightColors: { ambient: null, directional: null },
+        particles: [
+            { count: 6000, spread: [18, 18, 8], size: 0.03, opacity: 0.2, color: '#e8fff8', drift: [0, 0], glow: 0 },
+            { count: 5000, spread: [22, 22, 10], size: 0.022, opacity: 0.2, color: '#8fe3d6', drift: [0, 0.36], glow: 0 },
+            { count: 3000, spread: [26, 26, 12], size: 0.018, opacity: 0.14, color: '#4fb3c4', drift: [0.24, 0.3], glow: 0 }
+        ],
+        kelp: { count: 300, color: '#4f9a5a', opacity: 0.55 },
+        submarine: { enabled: true, position: [-10, 2, -14], spotlightIntensity: 1.5, beamOpacity: 0.18 }
+    }
+};
+
+// Export for use in other files
+window.OceanPresets = OceanPresets;
@@ -0,0 +1,463 @@
+/**
+ * Ocean Scene
+ * One-call page bootstrap: builds SceneManager, CameraMovement and the ocean systems from a config
+ * object, wires the cursor feed, scroll effects, scene interactions and card targets, and starts the loop.
+ *
+ *   OceanScene.mount({
+ *       systems: { fish: { count: 40 }, bubbles: true, submarine: false },   // true/options add, false leaves out
+ *       scroll: { camera: true },                                              // or { timeline: { keyframes } }
+ *       preset: 'tropical',                                                    // or timeOfDay: true
+ *       cards: [{ target: '.brand', rotationIntensity: 25 }]                   // EditableCard options
+ *   });
+ */
+
+class OceanScene {
+    // Build, wire and (unless config.start is false) start the ocean; returns the OceanScene
+    static mount(config = {}) {
+        const oceanScene = new OceanScene(config);
+        oceanScene.mount();
+        return oceanScene;
+    }
+
+    constructor(config = {}) {
+        this.config = Object.assign({}, OceanScene.DEFAULTS, config);
+        this.systemOptions = config.systems || {};
+        this.scroll = config.scroll || {};
+
+        this.sceneManager = null;
+        this.cameraMovement = null;
+        this.oceanBackground = null;
+        this.submarine = null;
+        this.kelp = null;
+        this.fish = null;
+        this.bubbles = null;
+        this.surfaceLight = null;
+        this.postProcessing = null;
+        this.soundscape = null;
+        this.theme = null;
+        this.presets = null;
+        this.timeOfDay = null;
+        this.scrollTimeline = null;
+        this.workerHost = null;
+        this.interaction = null;
+        this.cards = [];
+
+        this.isMounted = false;
+        this.hasWebGL = true;
+        this.scrollTimeout = null;
+    }
+
+    mount() {
+        if (this.isMounted) return;
+        this.isMounted = true;
+
+        if (this.config.worker && OceanScene.hasClass('OceanWorkerHost', 'worker')) {
+            this.mountWorker();
+        } else {
+            this.mountScene();
+        }
+    }
+
+    mountScene() {
+        // Without WebGL the renderer constructor throws; the page still gets its cards and cursor light
+        if (!SceneManager.isWebGLAvailable()) {
+            this.mountWithoutWebGL();
+            return;
+        }
+        try {
+            this.sceneManager = new SceneManager(this.config.sceneManager || {});
+        } catch (error) {
+            console.warn('OceanScene: could not create the WebGL renderer', error);
+            this.mountWithoutWebGL();
+            return;
+        }
+        if (this.sceneManager.frozenClock) window.sceneManager = this.sceneManager; // ?frozenClock: the test drives step()
+        this.cameraMovement = new CameraMovement(this.config.cameraMovement || {});
+
+        // Before the systems start their model requests, so the bar covers all of them
+        if (this.config.loadingOverlay && typeof AssetLoader !== 'undefined') {
+            AssetLoader.shared.showOverlay(this.config.loadingOverlay);
+        }
+
+        this.createSystems();
+        this.cameraMovement.addCamera(this.sceneManager.getCamera(), this.config.parallax);
+
+        if (this.config.registerGlobal) {
+            window.oceanBackground = this.oceanBackground; // For the console; colour changes arrive through SceneTheme
+        }
+
+        this.addSystems();
+        if (this.config.motionButton) this.cameraMovement.showMotionButton(); // After addSystems: init() sets up the tilt listener
+        this.registerInteractions();
+        this.attachDevTools();
+        this.createCards();
+
+        if (this.config.pauseOnMobileScroll && OceanScene.isMobile()) this.setupMobileScrollPause();
+
+        // Throttle only genuinely low-end devices; SceneManager pauses itself for hidden tabs
+        if (this.config.lowEndMaxFps && navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2) {
+            this.sceneManager.setMaxFps(this.config.lowEndMaxFps);
+        }
+
+        if (this.config.start) this.sceneManager.start();
+    }
+
+    /**
+     * The ocean in oceanWorker.js (submarine, kelp, fish and surfaceLight as config.systems says); the cursor light, colour updates and cards
+     * stay on the page. Without OffscreenCanvas WebGL, or when the worker fails to start, mountScene() runs instead.
+     */
+    mountWorker() {
+        if (this.config.preset || this.config.timeOfDay || this.scroll.timeline) {
+            console.warn('OceanScene: preset, timeOfDay and scroll.timeline are not available in worker mode');
+        }
+
+        const sceneManagerOptions = this.config.sceneManager || {};
+        const oceanOptions = Object.assign({}, OceanScene.getOptionsObject(this.systemOptions.oceanBackground), {
+            enableScrollCameraMovement: !!this.scroll.camera
+        });
+        this.workerHost = OceanWorkerHost.create(Object.assign({
+            oceanOptions: oceanOptions,
+            systems: this.getWorkerSystems(),
+            quality: sceneManagerOptions.quality,
+            seed: sceneManagerOptions.seed,
+            frozenClock: sceneManagerOptions.frozenClock,
+            maxFps: sceneManagerOptions.maxFps
+        }, OceanScene.getOptionsObject(this.config.worker), {
+            fallback: () => this.fallBackFromWorker()
+        }));
+        if (!this.workerHost) return; // The fallback already mounted the scene
+
+        this.cameraMovement = new CameraMovement(this.config.cameraMovement || {});
+        this.cameraMovement.init(); // Cursor light; the worker does the parallax
+        if (this.config.registerGlobal) window.oceanBackground = this.workerHost;
+
+        // SceneTheme re-posts the CSS colours whenever one of the worker's variables changes
+        const themeOptions = this.getSystemOptions('theme', 'SceneTheme');
+        if (themeOptions) {
+            this.theme = new SceneTheme(themeOptions);
+            this.theme.register(this.workerHost);
+        }
+
+        this.createCards();
+        if (this.config.pauseOnMobileScroll && OceanScene.isMobile()) this.setupMobileScrollPause();
+        if (this.config.lowEndMaxFps && navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 2) {
+            this.workerHost.setMaxFps(this.config.lowEndMaxFps);
+        }
+    }
+
+    // Worker system options from config.systems (null: off); warns about systems that only run on the main thread
+    getWorkerSystems() {
+        const systems = {};
+        Object.keys(OceanScene.DEFAULTS.systems).forEach(name => {
+            if (name === 'oceanBackground' || name === 'theme') return; // Passed as oceanOptions / stays on the page
+            const defaults = OceanScene.DEFAULTS.systems[name];
+            const options = this.systemOptions[name] !== undefined ? this.systemOptions[name] : defaults;
+            if (!(name in OceanWorkerHost.DEFAULT_SYSTEMS)) {
+                if (options) console.warn(`OceanScene: systems.${name} is not available in worker mode`);
+                return;
+            }
+            systems[name] = options
+                ? Object.assign({}, OceanScene.getOptionsObject(defaults), OceanScene.getOptionsObject(options))
+                : null;
+        });
+        return systems;
+    }
+
+    // The worker failed after mountWorker() set up the page side; mountScene() builds all of it again
+    fallBackFromWorker() {
+        if (this.workerHost) {
+            clearTimeout(this.scrollTimeout);
+            if (this.onMobileScroll) window.removeEventListener('scroll', this.onMobileScroll);
+            if (this.theme) this.theme.dispose();
+            this.cameraMovement.dispose();
+            this.cards.forEach(card => card.destroy());
+            this.cards = [];
+            this.theme = null;
+            this.workerHost = null;
+        }
+        this.mountScene();
+    }
+
+    // CSS gradient instead of the ocean, plus everything that only needs the DOM
+    mountWithoutWebGL() {
+        this.hasWebGL = false;
+        OceanScene.showFallbackBackground();
+        this.cameraMovement = new CameraMovement(this.config.cameraMovement || {});
+        this.cameraMovement.init(); // No loop to add it to; the cursor light still follows the pointer
+        this.createCards();
+    }
+
+    static showFallbackBackground() {
+        ['canvas3d', 'canvasCardGizmo'].forEach(id => {
+            const canvas = document.getElementById(id);
+            if (canvas) canvas.style.display = 'none';
+        });
+        document.documentElement.classList.add('no-webgl');
+        document.body.style.background = 'linear-gradient(to bottom, var(--bg-top) 0%, var(--bg-middle) 50%, var(--bg-bottom) 100%)';
+        document.body.style.backgroundAttachment = 'fixed';
+    }
+
+    static isMobile() {
+        return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
+            window.innerWidth <= 768;
+    }
+
+    // Whether a service script is loaded; warns with the file a config option needs when it isn't
+    static hasClass(className, option) {
+        if (typeof window[className] !== 'undefined') return true;
+        const file = className.charAt(0).toLowerCase() + className.slice(1) + '.js';
+        console.warn(`OceanScene: ${option} needs services/${file}`);
+        return false;
+    }
+
+    // `true` switches a feature on with its defaults, an object also passes options
+    static getOptionsObject(value) {
+        return value && value !== true ? value : {};
+    }
+
+    /**
+     * Options for one system over its defaults, or null when it is off: left out with false, or an opt-in
+     * system (false in DEFAULTS.systems) the page didn't switch on. A system that is on but whose script
+     * isn't loaded warns and is skipped.
+     */
+    getSystemOptions(name, className) {
+        const defaults = OceanScene.DEFAULTS.systems[name];
+        const options = this.systemOptions[name] !== undefined ? this.systemOptions[name] : defaults;
+        if (!options || !OceanScene.hasClass(className, `systems.${name}`)) return null;
+        return Object.assign(
+            { random: this.sceneManager ? this.sceneManager.createRandom(name) : Math.random },
+            OceanScene.getOptionsObject(defaults),
+            OceanScene.getOptionsObject(options)
+        );
+    }
+
+    createSystems() {
+        const sceneManager = this.sceneManager;
+        const scene = sceneManager.getScene();
+        const camera = sceneManager.getCamera();
+
+        // The ocean itself is always there; scroll.camera moves the camera with the page
+        const oceanOptions = this.getSystemOptions('oceanBackground', 'OceanBackground') || {};
+        if (this.scroll.camera) {
+            Object.assign(oceanOptions, {
+                enableScrollCameraMovement: true,
+                cameraMovement: this.cameraMovement,
+                sceneManager: sceneManager
+            });
+        }
+        this.oceanBackground = new OceanBackground(scene, camera, oceanOptions);
+
+        const submarineOptions = this.getSystemOptions('submarine', 'Submarine');
+        if (submarineOptions) this.submarine = new Submarine(scene, camera, submarineOptions);
+
+        const kelpOptions = this.getSystemOptions('kelp', 'Kelp');
+        if (kelpOptions) this.kelp = new Kelp(scene, kelpOptions);
+
+        const fishOptions = this.getSystemOptions('fish', 'Fish');
+        if (fishOptions) this.fish = new Fish(Object.assign({ submarine: this.submarine }, fishOptions));
+
+        const bubblesOptions = this.getSystemOptions('bubbles', 'Bubbles');
+        if (bubblesOptions) {
+            this.bubbles = new Bubbles(Object.assign({ oceanBackground: this.oceanBackground, submarine: this.submarine }, bubblesOptions));
+        }
+
+        const surfaceLightOptions = this.getSystemOptions('surfaceLight', 'SurfaceLight');
+        if (surfaceLightOptions) {
+            this.surfaceLight = new SurfaceLight(Object.assign({
+                oceanBackground: this.oceanBackground,
+                kelp: this.kelp,
+                submarine: this.submarine
+            }, surfaceLightOptions));
+        }
+
+        const postProcessingOptions = this.getSystemOptions('postProcessing', 'PostProcessing');
+        if (postProcessingOptions) this.postProcessing = new PostProcessing(postProcessingOptions);
+
+        // Recolours the systems when CSS variables change (colour panel, dark mode)
+        const themeOptions = this.getSystemOptions('theme', 'SceneTheme');
+        if (themeOptions) this.theme = new SceneTheme(themeOptions);
+
+        // Off until the visitor switches it on with its toggle
+        const soundscapeOptions = this.getSystemOptions('soundscape', 'Soundscape');
+        if (soundscapeOptions) {
+            this.soundscape = new Soundscape(Object.assign({
+                oceanBackground: this.oceanBackground,
+                submarine: this.submarine,
+                bubbles: this.bubbles
+            }, soundscapeOptions));
+        }
+
+        // A fixed look (config.preset) or one that follows the visitor's clock (config.timeOfDay)
+        const timeOfDay = this.config.timeOfDay && OceanScene.hasClass('TimeOfDay', 'timeOfDay');
+        if ((this.config.preset || timeOfDay) && OceanScene.hasClass('OceanPresets', this.config.preset ? 'preset' : 'timeOfDay')) {
+            this.presets = new OceanPresets({
+                oceanBackground: this.oceanBackground,
+                kelp: this.kelp,
+                submarine: this.submarine
+            });
+            if (timeOfDay) {
+                this.timeOfDay = new TimeOfDay(Object.assign({ presets: this.presets }, OceanScene.getOptionsObject(this.config.timeOfDay)));
+            }
+        }
+
+        if (this.scroll.timeline && OceanScene.hasClass('ScrollTimeline', 'scroll.timeline')) {
+            this.scrollTimeline = new ScrollTimeline(Object.assign({
+                oceanBackground: this.oceanBackground,
+                cameraMovement: this.cameraMovement
+            }, this.scroll.timeline));
+        }
+    }
+
+    addSystems() {
+        const sceneManager = this.sceneManager;
+
+        // Feed the cursor into the background systems before they update
+        const cursorTargets = [this.oceanBackground, this.submarine, this.fish].filter(Boolean);
+        sceneManager.addSystem({
+            priority: -10,
+            update: () => {
+                const mousePos = this.cameraMovement.getMousePosition();
+                cursorTargets.forEach(system => system.updateMousePosition(mousePos.x, mousePos.y));
+            }
+        });
+
+        // Scene systems get update(dt, elapsed), quality tier hooks and dispose() from SceneManager
+        [this.oceanBackground, this.submarine, this.kelp, this.fish, this.bubbles, this.surfaceLight,
+            this.postProcessing, this.soundscape, this.theme, this.presets, this.scrollTimeline].forEach(system => {
+            if (system) sceneManager.addSystem(system);
+        });
+
+        // Once the systems are set up; TimeOfDay then takes over from the preset
+        if (this.config.preset && this.presets) this.presets.apply(this.config.preset);
+        if (this.timeOfDay) sceneManager.addSystem(this.timeOfDay);
+
+        sceneManager.addSystem(this.cameraMovement, { priority: 10 });
+    }
+
+    // Click the submarine to switch its spotlights, brush the kelp to make it sway
+    registerInteractions() {
+        if (!this.config.interaction || !OceanScene.hasClass('SceneInteraction', 'interaction')) return;
+
+        this.interaction = this.sceneManager.addSystem(new SceneInteraction(
+            this.config.interaction === true ? {} : this.config.interaction
+        ));
+        if (this.submarine) {
+            this.interaction.register(this.submarine.gizmoGroup, {
+                onClick: () => this.submarine.toggleSpotlights()
+            }, { cursor: 'pointer' });
+        }
+        if (this.kelp) {
+            this.interaction.register(this.kelp.kelpGroup, {
+                onHover: (event) => this.kelp.disturb(event.hit.instanceId)
+            });
+        }
+    }
+
+    // Developer panels on pages that load them: Performance HUD (Ctrl+Shift+F) and Scene Inspector
+    // (Ctrl+Shift+X); config.tuning applies values the inspector exported
+    attachDevTools() {
+        if (typeof PerformanceHud !== 'undefined') PerformanceHud.attach(this.sceneManager);
+
+        if (this.config.tuning && !OceanScene.hasClass('SceneInspector', 'tuning')) return;
+        if (typeof SceneInspector === 'undefined') return;
+
+        SceneInspector.attach(this.sceneManager);
+        if (this.config.tuning) window.sceneInspector.applyValues(this.config.tuning);
+    }
+
+    // EditableCard per entry; `target` is a selector or element, the rest are EditableCard options
+    createCards() {
+        (this.config.cards || []).forEach(card => {
+            const element = typeof card.target === 'string' ? document.querySelector(card.target) : card.target;
+            if (!element) {
+                console.warn('OceanScene: card target not found', card.target);
+                return;
+            }
+            const options = Object.assign({}, card, { targetElement: element });
+            delete options.target;
+            this.cards.push(new EditableCard(options));
+        });
+    }
+
+    // Pause the 3D scene (and dim the canvas) while scrolling on mobile
+    setupMobileScrollPause() {
+        const loop = this.sceneManager || this.workerHost; // Same pause()/resume() in worker mode
+        let isScrolling = false;
+        const setCanvasOpacity = (opacity) => {
+            const canvas = document.getElementById('canvas3d');
+            if (canvas) canvas.style.opacity = opacity;
+        };
+
+        this.onMobileScroll = () => {
+            if (!isScrolling) {
+                isScrolling = true;
+                loop.pause('scroll');
+                setCanvasOpacity('0.3');
+            }
+
+            clearTimeout(this.scrollTimeout);
+            this.scrollTimeout = setTimeout(() => {
+                isScrolling = false;
+                loop.resume('scroll');
+                setCanvasOpacity('0.7');
+            }, 150);
+        };
+        window.addEventListener('scroll', this.onMobileScroll, { passive: true });
+    }
+
+    // Stop the loop and free everything mount() created
+    dispose() {
+        if (!this.isMounted) return;
+        this.isMounted = false;
+
+        clearTimeout(this.scrollTimeout);
+        if (this.onMobileScroll) window.removeEventListener('scroll', this.onMobileScroll);
+        this.cards.forEach(card => card.destroy());
+        if (this.workerHost) {
+            if (this.theme) this.theme.dispose();
+            if (window.oceanBackground === this.workerHost) window.oceanBackground = null;
+            this.workerHost.dispose();
+            this.cameraMovement.dispose();
+            return;
+        }
+        if (!this.hasWebGL) {
+            this.cameraMovement.dispose();
+            return;
+        }
+        if (window.oceanBackground === this.oceanBackground) window.oceanBackground = null;
+
+        this.sceneManager.dispose();
+    }
+}
+
+OceanScene.DEFAULTS = {
+    sceneManager: {},            // SceneManager options (seed, frozenClock, quality, singleRenderer, ...)
+    cameraMovement: {},          // CameraMovement options (gyro, gyroRange, gyroSmoothing)
+    parallax: 0.5,               // Mouse parallax intensity of the main camera
+    motionButton: true,          // iOS: a button that asks for motion access so tilting moves the camera
+    systems: {                   // Options per system; false leaves it out. Opt-in systems (false here) take true or options
+        oceanBackground: {},
+        submarine: {},
+        kelp: {},
+        fish: false,
+        bubbles: false,
+        surfaceLight: false,
+        postProcessing: false,
+        soundscape: false,       // Opt-in audio with a mute toggle
+        theme: false             // SceneTheme: follow CSS variable changes (colour panel, dark mode)
+    },
+    preset: null,                // OceanPresets name or object for the whole look (oceanPresets.js)
+    timeOfDay: false,            // true or TimeOfDay options: palette from the local time (timeOfDay.js + oceanPresets.js)
+    worker: false,               // true or OceanWorkerHost options ({ workerUrl }): render in a worker (oceanWorkerHost.js)
+    interaction: true,           // SceneInteraction (submarine click, kelp hover); or its options
+    cards: [],                   // [{ target, ...EditableCard options }]
+    tuning: null,                // Values exported from the Scene Inspector ({ Kelp: { swayScale: 1.5 } })
+    registerGlobal: true,        // window.oceanBackground for console debugging
+    loadingOverlay: false,       // Model loading progress bar: true, or the page's own element (AssetLoader)
+    pauseOnMobileScroll: false,  // Pause the scene while scrolling on mobile
+    lowEndMaxFps: null,          // FPS cap for devices with two cores or fewer
+    start: true
+};
+
+// Export for use in other files
+window.OceanScene = OceanScene;
@@ -0,0 +1,155 @@
+/**
+ * Ocean Worker
+ * Runs SceneManager and OceanBackground, plus whichever of Submarine, Kelp, Fish and SurfaceLight the page switched on,
+ * on an OffscreenCanvas off the main thread. Started by OceanWorkerHost (oceanWorkerHost.js), which forwards the
+ * system options, pointer, scroll, resize, CSS colours and pause reasons.
+ */
+
+// The service files export onto `window`
+self.window = self;
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+    'GLTFLoader.js',
+    'assetLoader.js',
+    'qualityGovernor.js',
+    'sceneManager.js',
+    'cameraMovement.js',
+    'oceanBackground.js',
+    'submarine.js',
+    'kelp.js',
+    'fish.js',
+    'surfaceLight.js'
+);
+
+let sceneManager = null;
+let cameraMovement = null;
+let oceanBackground = null;
+let submarine = null;
+let kelp = null;
+let fish = null;
+let surfaceLight = null;
+
+// The scene systems this worker built
+function getSystems() {
+    return [oceanBackground, submarine, kelp, fish, surfaceLight].filter(Boolean);
+}
+
+const handlers = {
+    init(data) {
+        OceanBackground.cssColors = data.colors;
+
+        sceneManager = new SceneManager({
+            canvas: data.canvas,
+            width: data.width,
+            height: data.height,
+            pixelRatio: data.pixelRatio,
+            maxFps: data.maxFps,
+            quality: { tier: data.tier, adaptive: data.adaptive },
+            seed: data.seed,
+            frozenClock: data.frozenClock
+        });
+
+        // Parallax only; the page keeps the cursor light and posts the pointer position
+        cameraMovement = new CameraMovement({ trackPointer: false });
+
+        const scene = sceneManager.getScene();
+        const camera = sceneManager.getCamera();
+
+        oceanBackground = new OceanBackground(scene, camera, Object.assign({}, data.oceanOptions, {
+            cameraMovement: cameraMovement,
+            sceneManager: sceneManager,
+            random: sceneManager.createRandom('oceanBackground')
+        }));
+
+        // Options per system from the page; null leaves it out, as on the main thread
+        const systems = data.systems;
+        const options = (name) => Object.assign({ random: sceneManager.createRandom(name) }, systems[name]);
+        if (systems.submarine) submarine = new Submarine(scene, camera, options('submarine'));
+        // The page's kelpCount sizes the buffers; the governor's tier decides how many draw (applyQualityTier)
+        if (systems.kelp) kelp = new Kelp(scene, options('kelp'));
+        if (systems.fish) fish = new Fish(Object.assign({ submarine: submarine }, options('fish')));
+        if (systems.surfaceLight) {
+            surfaceLight = new SurfaceLight(Object.assign({
+                oceanBackground: oceanBackground,
+                kelp: kelp,
+                submarine: submarine
+            }, options('surfaceLight')));
+        }
+
+        cameraMovement.addCamera(camera, 0.5);
+
+        // Feed the cursor into the background systems before they update
+        const cursorTargets = [oceanBackground, submarine, fish].filter(Boolean);
+        sceneManager.addSystem({
+            priority: -10,
+            update: () => {
+                const mousePos = cameraMovement.getMousePosition();
+                cursorTargets.forEach(target => target.updateMousePosition(mousePos.x, mousePos.y));
+            }
+        });
+
+        getSystems().forEach(system => sceneManager.addSystem(system));
+        sceneManager.addSystem(cameraMovement, { priority: 10 });
+
+        // sessionStorage isn't available here, so the page persists the tier
+        sceneManager.onQualityChange((tier) => self.postMessage({ type: 'quality', tier: tier.name }));
+
+        data.pauseReasons.forEach(reason => sceneManager.pause(reason));
+        sceneManager.start();
+
+        self.postMessage({ type: 'ready' });
+    },
+
+    pointer(data) {
+        cameraMovement.setMousePosition(data.x, data.y);
+    },
+
+    scroll(data) {
+        oceanBackground.applyScrollProgress(data.progress);
+        sceneManager.requestRender();
+    },
+
+    resize(data) {
+        sceneManager.setViewportSize(data.width, data.height, data.pixelRatio);
+    },
+
+    colors(data) {
+        OceanBackground.cssColors = data.colors;
+        getSystems().forEach(system => system.updateColors());
+        sceneManager.requestRender();
+    },
+
+    pause(data) {
+        sceneManager.pause(data.reason);
+    },
+
+    resume(data) {
+        sceneManager.resume(data.reason);
+    },
+
+    maxFps(data) {
+        sceneManager.setMaxFps(data.fps);
+    },
+
+    quality(data) {
+        sceneManager.setQualityTier(data.tier);
+    },
+
+    step(data) {
+        sceneManager.step(data.dt);
+    },
+
+    dispose() {
+        sceneManager.dispose();
+        self.close();
+    }
+};
+
+self.addEventListener('message', (event) => {
+    const handler = handlers[event.data.type];
+    // Messages posted before 'init' finished have nothing to act on yet
+    if (handler && (sceneManager || event.data.type === 'init')) {
+        handler(event.data);
+    }
+});
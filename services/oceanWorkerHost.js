@@ -0,0 +1,281 @@
+/**
+ * Ocean Worker Host
+ * Moves the ocean background (#canvas3d) into oceanWorker.js via OffscreenCanvas and forwards page input to it
+ */
+
+class OceanWorkerHost {
+    /**
+     * Start the worker, or call options.fallback() to run the main-thread scene instead.
+     * Returns the host, or null when the fallback was used.
+     */
+    static create(options = {}) {
+        if (!OceanWorkerHost.isSupported()) {
+            if (options.fallback) options.fallback();
+            return null;
+        }
+        return new OceanWorkerHost(options);
+    }
+
+    // OffscreenCanvas with WebGL inside workers (Safari only has the 2D context before 17)
+    static isSupported() {
+        if (typeof OffscreenCanvas === 'undefined' || typeof Worker === 'undefined') return false;
+        if (!('transferControlToOffscreen' in HTMLCanvasElement.prototype)) return false;
+
+        try {
+            const gl = new OffscreenCanvas(1, 1).getContext('webgl');
+            if (!gl) return false;
+            const loseContext = gl.getExtension('WEBGL_lose_context');
+            if (loseContext) loseContext.loseContext();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || OceanWorkerHost.DEFAULT_WORKER_URL;
+        this.oceanOptions = options.oceanOptions || {};
+        this.systems = options.systems || OceanWorkerHost.DEFAULT_SYSTEMS; // Options per worker system; null leaves it out
+        this.maxFps = options.maxFps || null;
+        this.fallback = options.fallback || null;
+        // Reproducible frames, as for SceneManager (the worker can't read the page URL)
+        const urlParams = new URLSearchParams(window.location.search);
+        this.seed = options.seed !== undefined ? options.seed : urlParams.get('seed');
+        this.frozenClock = options.frozenClock !== undefined ? options.frozenClock : urlParams.has('frozenClock');
+        this.isReady = false;
+        this.pendingPointer = null;
+        this.pointerFrame = null;
+
+        // Resolves the starting tier (sessionStorage, device hints) and persists changes reported by the worker
+        this.quality = new QualityGovernor(options.quality || {});
+
+        this.init();
+    }
+
+    init() {
+        this.canvas = document.getElementById('canvas3d');
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.id = 'canvas3d';
+            document.body.appendChild(this.canvas);
+        }
+
+        // The gizmo canvas has no renderer in this mode
+        const canvasCardGizmo = document.getElementById('canvasCardGizmo');
+        if (canvasCardGizmo) canvasCardGizmo.remove();
+
+        const offscreenCanvas = this.canvas.transferControlToOffscreen();
+
+        this.worker = new Worker(this.workerUrl);
+        this.onWorkerMessage = (event) => this.handleMessage(event.data);
+        this.onWorkerError = (event) => this.handleError(event);
+        this.worker.addEventListener('message', this.onWorkerMessage);
+        this.worker.addEventListener('error', this.onWorkerError);
+
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        const pauseReasons = [];
+        if (document.hidden) pauseReasons.push('hidden');
+        if (this.reducedMotionQuery.matches) pauseReasons.push('reduced-motion');
+
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreenCanvas,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            pixelRatio: window.devicePixelRatio,
+            colors: OceanWorkerHost.readColors(),
+            oceanOptions: this.oceanOptions,
+            systems: this.systems,
+            maxFps: this.maxFps,
+            tier: this.quality.getTier().name,
+            adaptive: this.quality.adaptive,
+            seed: this.seed,
+            frozenClock: this.frozenClock,
+            pauseReasons: pauseReasons
+        }, [offscreenCanvas]);
+
+        this.setupEventListeners();
+        if (this.oceanOptions.enableScrollCameraMovement) this.onScroll();
+    }
+
+    setupEventListeners() {
+        // Primary pointer moves only, coalesced to one message per frame. Touch comes from touchmove, which
+        // keeps firing while a drag scrolls the page (pointer events stop there with a pointercancel).
+        this.onPointerMove = (e) => {
+            const point = e.touches ? e.touches[0] : e;
+            if (!point || (!e.touches && (!e.isPrimary || e.pointerType === 'touch'))) return;
+            this.pendingPointer = {
+                x: (point.clientX / window.innerWidth) * 2 - 1,
+                y: -(point.clientY / window.innerHeight) * 2 + 1
+            };
+            if (this.pointerFrame) return;
+            this.pointerFrame = requestAnimationFrame(() => {
+                this.pointerFrame = null;
+                this.post('pointer', this.pendingPointer);
+            });
+        };
+        document.addEventListener('pointermove', this.onPointerMove);
+        document.addEventListener('touchmove', this.onPointerMove, { passive: true });
+
+        this.onScroll = () => {
+            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+            const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
+            const progress = scrollHeight > 0 ? Math.min(Math.max(scrollTop / scrollHeight, 0), 1) : 0;
+            this.post('scroll', { progress: progress });
+        };
+        if (this.oceanOptions.enableScrollCameraMovement) {
+            window.addEventListener('scroll', this.onScroll, { passive: true });
+        }
+
+        this.onResize = () => {
+            this.post('resize', {
+                width: window.innerWidth,
+                height: window.innerHeight,
+                pixelRatio: window.devicePixelRatio
+            });
+        };
+        window.addEventListener('resize', this.onResize);
+
+        // Same pause reasons SceneManager watches on the main thread
+        this.onVisibilityChange = () => this.setPauseReason('hidden', document.hidden);
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        if ('IntersectionObserver' in window) {
+            this.canvasObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => this.setPauseReason('offscreen', !entry.isIntersecting));
+            });
+            this.canvasObserver.observe(this.canvas);
+        }
+
+        this.onReducedMotionChange = () => this.setPauseReason('reduced-motion', this.reducedMotionQuery.matches);
+        if (this.reducedMotionQuery.addEventListener) {
+            this.reducedMotionQuery.addEventListener('change', this.onReducedMotionChange);
+        } else {
+            this.reducedMotionQuery.addListener(this.onReducedMotionChange); // Older Safari
+        }
+    }
+
+    // CSS colour variables the worker can't read itself
+    static readColors() {
+        const style = getComputedStyle(document.documentElement);
+        const colors = {};
+        OceanWorkerHost.CSS_VARIABLES.forEach(name => {
+            colors[name] = style.getPropertyValue(name).trim();
+        });
+        return colors;
+    }
+
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            this.isReady = true;
+        } else if (message.type === 'quality') {
+            try {
+                sessionStorage.setItem(this.quality.storageKey, message.tier);
+            } catch (error) {
+                // Not persisting is fine, the next page just detects again
+            }
+        }
+    }
+
+    // A worker that fails before it is ready (script blocked, no WebGL) hands over to the main-thread scene
+    handleError(event) {
+        console.error('Ocean worker failed:', event.message);
+        if (this.isReady) return;
+
+        this.worker.terminate();
+        this.dispose();
+
+        // The transferred canvas can't get a context on this thread any more; swap in a fresh one
+        const freshCanvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(freshCanvas);
+        this.canvas = freshCanvas;
+
+        if (this.fallback) this.fallback();
+    }
+
+    post(type, data = {}) {
+        if (!this.worker) return;
+        this.worker.postMessage(Object.assign({ type: type }, data));
+    }
+
+    setPauseReason(reason, active) {
+        this.post(active ? 'pause' : 'resume', { reason: reason });
+    }
+
+    // Same surface the pages use on the main-thread objects
+    updateColors() {
+        this.post('colors', { colors: OceanWorkerHost.readColors() });
+    }
+
+    pause(reason = 'manual') {
+        this.setPauseReason(reason, true);
+    }
+
+    resume(reason = 'manual') {
+        this.setPauseReason(reason, false);
+    }
+
+    setMaxFps(fps) {
+        this.post('maxFps', { fps: fps });
+    }
+
+    setQualityTier(name) {
+        this.post('quality', { tier: name });
+    }
+
+    // Frozen clock mode: advance the worker's scene by dt seconds
+    step(dt) {
+        this.post('step', { dt: dt });
+    }
+
+    dispose() {
+        this.post('dispose');
+        this.worker.removeEventListener('message', this.onWorkerMessage);
+        this.worker.removeEventListener('error', this.onWorkerError);
+        this.worker = null;
+
+        cancelAnimationFrame(this.pointerFrame);
+        document.removeEventListener('pointermove', this.onPointerMove);
+        document.removeEventListener('touchmove', this.onPointerMove);
+        window.removeEventListener('scroll', this.onScroll);
+        window.removeEventListener('resize', this.onResize);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        if (this.canvasObserver) this.canvasObserver.disconnect();
+        if (this.reducedMotionQuery.removeEventListener) {
+            this.reducedMotionQuery.removeEventListener('change', this.onReducedMotionChange);
+        } else {
+            this.reducedMotionQuery.removeListener(this.onReducedMotionChange);
+        }
+    }
+}
+
+// Every CSS variable the worker's systems read
+OceanWorkerHost.CSS_VARIABLES = [
+    '--ocean-fog-surface',
+    '--ocean-fog-deep',
+    '--ocean-ambient-light',
+    '--ocean-directional-light',
+    '--ocean-cursor-light',
+    '--ocean-cursor-ambient',
+    '--ocean-particle-layer-2',
+    '--ocean-particle-layer-3',
+    '--ocean-fish-color',
+    '--ocean-fish-count',
+    '--ocean-kelp-color',
+    '--ocean-submarine-hull',
+    '--ocean-spotlight-color'
+];
+
+// Systems oceanWorker.js can run besides OceanBackground; options must survive postMessage (no functions)
+OceanWorkerHost.DEFAULT_SYSTEMS = { submarine: {}, kelp: {}, fish: {}, surfaceLight: {} };
+
+// oceanWorker.js next to this file, so pages in subfolders (contact-me/, projects/*) find it too
+OceanWorkerHost.DEFAULT_WORKER_URL = document.currentScript
+    ? new URL('oceanWorker.js', document.currentScript.src).href
+    : '/services/oceanWorker.js';
+
+// SceneTheme re-posts the colours when any of them changes (sceneTheme.register(host))
+OceanWorkerHost.THEME_VARIABLES = OceanWorkerHost.CSS_VARIABLES;
+
+// Export for use in other files
+window.OceanWorkerHost = OceanWorkerHost;
@@ -0,0 +1,299 @@
+/**
+ * Performance HUD
+ * Developer overlay for the 3D pages (Ctrl+Shift+F): FPS, a frame-time graph, draw calls, triangles,
+ * geometries/textures/programs from renderer.info for each renderer, and the update cost of every system.
+ * While hidden it only counts frames and warns in the console when the frame rate stays low.
+ */
+
+class PerformanceHud {
+    constructor(options = {}) {
+        this.sceneManager = null;
+        this.panel = null;
+        this.isVisible = false;
+
+        this.warnBelowFps = options.warnBelowFps !== undefined ? options.warnBelowFps : 30; // null: no warnings
+        this.textInterval = 0.5; // Seconds between refreshes of the numbers
+
+        // Frame times (ms) for the graph, oldest first from frameIndex
+        this.frameTimes = new Float32Array(options.historyLength || 120);
+        this.frameIndex = 0;
+        this.lastFrameTime = 0;
+
+        // FPS over one-second windows, averaged like the old contact page monitor
+        this.frameCount = 0;
+        this.windowStart = 0;
+        this.fps = 0;
+        this.averageFps = 60;
+        this.sinceTextUpdate = 0;
+
+        // Smoothed costs (ms), only measured while the HUD is visible
+        this.systemCosts = new Map(); // system -> ms
+        this.renderCost = 0;
+
+        this.setupShortcuts();
+    }
+
+    setupShortcuts() {
+        window.showPerformanceHud = () => this.show();
+        window.hidePerformanceHud = () => this.hide();
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.shiftKey && (e.key === 'F' || e.key === 'f')) {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+    }
+
+    // Called by OceanScene.mount (or the page) once the scene exists
+    static attach(sceneManager) {
+        if (window.performanceHud) window.performanceHud.attach(sceneManager);
+    }
+
+    attach(sceneManager) {
+        if (this.sceneManager === sceneManager) return;
+        if (this.sceneManager) {
+            this.sceneManager.setProfiler(null);
+            this.sceneManager.removeSystem(this);
+        }
+        sceneManager.addSystem(this, { priority: -100 }); // Before everything, so frame gaps are measured evenly
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.systemCosts.clear();
+        if (this.isVisible) sceneManager.setProfiler(this);
+    }
+
+    // Profiler callbacks from SceneManager.advance; exponential smoothing keeps the numbers readable
+    recordSystem(system, ms) {
+        const previous = this.systemCosts.get(system);
+        this.systemCosts.set(system, previous === undefined ? ms : previous * 0.9 + ms * 0.1);
+    }
+
+    recordRender(ms) {
+        this.renderCost = this.renderCost * 0.9 + ms * 0.1;
+    }
+
+    update(dt) {
+        const now = performance.now();
+
+        // A long gap means the loop was paused (hidden tab, scrolling); start a fresh window
+        if (this.lastFrameTime === 0 || now - this.lastFrameTime > 1000) {
+            this.lastFrameTime = now;
+            this.windowStart = now;
+            this.frameCount = 0;
+            return;
+        }
+
+        this.frameTimes[this.frameIndex] = now - this.lastFrameTime;
+        this.frameIndex = (this.frameIndex + 1) % this.frameTimes.length;
+        this.lastFrameTime = now;
+
+        this.frameCount++;
+        if (now - this.windowStart >= 1000) {
+            this.fps = this.frameCount * 1000 / (now - this.windowStart);
+            this.frameCount = 0;
+            this.windowStart = now;
+            this.averageFps = this.averageFps * 0.9 + this.fps * 0.1;
+
+            if (this.warnBelowFps && this.averageFps < this.warnBelowFps) {
+                console.warn('Low FPS detected:', this.averageFps.toFixed(1));
+            }
+        }
+
+        if (!this.isVisible) return;
+
+        this.drawGraph();
+        this.sinceTextUpdate += dt;
+        if (this.sinceTextUpdate >= this.textInterval) {
+            this.sinceTextUpdate = 0;
+            this.updateText();
+        }
+    }
+
+    // System label for the table: class name, or the priority for anonymous systems
+    getSystemName(system) {
+        if (system.constructor && system.constructor !== Object) return system.constructor.name;
+        const entry = this.sceneManager.systemEntries.get(system);
+        return `system (priority ${entry ? entry.priority : 0})`;
+    }
+
+    getRendererLabels() {
+        return this.sceneManager.cardRenderer ? ['Ocean', 'Card'] : ['Ocean + card'];
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'performance-hud';
+        panel.innerHTML = `
+            <style>
+                #performance-hud {
+                    position: fixed;
+                    bottom: 20px;
+                    left: 20px;
+                    width: 260px;
+                    max-height: 70vh;
+                    overflow-y: auto;
+                    background: rgba(0, 0, 0, 0.85);
+                    border: 1px solid var(--primary-color);
+                    border-radius: 8px;
+                    padding: 10px 12px;
+                    z-index: 10000;
+                    color: #ccc;
+                    font-family: monospace;
+                    font-size: 11px;
+                    pointer-events: none;
+                }
+
+                #performance-hud .hud-fps {
+                    color: var(--primary-color);
+                    font-size: 14px;
+                    font-weight: bold;
+                    margin-bottom: 6px;
+                }
+
+                #performance-hud canvas {
+                    display: block;
+                    width: 100%;
+                    height: 48px;
+                    margin-bottom: 8px;
+                    background: rgba(255, 255, 255, 0.05);
+                }
+
+                #performance-hud table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    margin-bottom: 8px;
+                }
+
+                #performance-hud th {
+                    text-align: left;
+                    color: var(--primary-color);
+                    font-weight: normal;
+                    text-transform: uppercase;
+                    letter-spacing: 1px;
+                    padding-top: 4px;
+                }
+
+                #performance-hud td:last-child {
+                    text-align: right;
+                }
+            </style>
+
+            <div class="hud-fps"></div>
+            <canvas width="240" height="48"></canvas>
+            <table class="hud-renderers"></table>
+            <table class="hud-systems"></table>
+        `;
+        return panel;
+    }
+
+    show() {
+        if (this.isVisible) return;
+
+        this.panel = this.createPanel();
+        document.body.appendChild(this.panel);
+        this.graphContext = this.panel.querySelector('canvas').getContext('2d');
+        this.isVisible = true;
+
+        if (this.sceneManager) this.sceneManager.setProfiler(this);
+        this.updateText();
+    }
+
+    hide() {
+        if (!this.isVisible) return;
+
+        if (this.sceneManager) this.sceneManager.setProfiler(null);
+        document.body.removeChild(this.panel);
+        this.panel = null;
+        this.graphContext = null;
+        this.isVisible = false;
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    updateText() {
+        const fpsElement = this.panel.querySelector('.hud-fps');
+        if (!this.sceneManager) {
+            fpsElement.textContent = 'No scene on this page';
+            return;
+        }
+
+        fpsElement.textContent = `${this.fps.toFixed(0)} FPS · avg ${this.averageFps.toFixed(1)}`;
+
+        // renderer.info of the last frame; memory counts are live objects on the GPU
+        const labels = this.getRendererLabels();
+        const rendererRows = this.sceneManager.getRenderers().map((renderer, index) => {
+            const info = renderer.info;
+            return `
+                <tr><th colspan="2">${labels[index]}</th></tr>
+                <tr><td>Draw calls</td><td>${info.render.calls}</td></tr>
+                <tr><td>Triangles</td><td>${info.render.triangles.toLocaleString()}</td></tr>
+                <tr><td>Points / lines</td><td>${info.render.points.toLocaleString()} / ${info.render.lines}</td></tr>
+                <tr><td>Geometries</td><td>${info.memory.geometries}</td></tr>
+                <tr><td>Textures</td><td>${info.memory.textures}</td></tr>
+                <tr><td>Programs</td><td>${info.programs ? info.programs.length : 0}</td></tr>
+            `;
+        }).join('');
+        this.panel.querySelector('.hud-renderers').innerHTML = rendererRows;
+
+        // Most expensive systems first
+        const systemRows = this.sceneManager.systems
+            .filter(system => this.systemCosts.has(system))
+            .map(system => ({ name: this.getSystemName(system), ms: this.systemCosts.get(system) }))
+            .sort((a, b) => b.ms - a.ms)
+            .map(cost => `<tr><td>${cost.name}</td><td>${cost.ms.toFixed(2)} ms</td></tr>`)
+            .join('');
+        this.panel.querySelector('.hud-systems').innerHTML = `
+            <tr><th colspan="2">Update cost</th></tr>
+            ${systemRows}
+            <tr><td>Render (CPU)</td><td>${this.renderCost.toFixed(2)} ms</td></tr>
+        `;
+    }
+
+    // Bars of the last frame times; lines at 60 and 30 FPS, red above 33 ms
+    drawGraph() {
+        const context = this.graphContext;
+        const width = context.canvas.width;
+        const height = context.canvas.height;
+        const maxMs = 50;
+        const count = this.frameTimes.length;
+        const barWidth = width / count;
+
+        context.clearRect(0, 0, width, height);
+
+        for (let i = 0; i < count; i++) {
+            const ms = this.frameTimes[(this.frameIndex + i) % count];
+            const barHeight = Math.min(ms / maxMs, 1) * height;
+            context.fillStyle = ms > 33.4 ? '#e74c3c' : ms > 16.9 ? '#f0d060' : '#2ecc71';
+            context.fillRect(i * barWidth, height - barHeight, Math.max(barWidth - 0.5, 0.5), barHeight);
+        }
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        [16.7, 33.3].forEach(ms => {
+            context.fillRect(0, Math.round(height - (ms / maxMs) * height), width, 1);
+        });
+    }
+
+    // SceneManager system hook: the scene is gone, keep the HUD for the next one
+    dispose() {
+        this.sceneManager = null;
+        this.systemCosts.clear();
+        this.lastFrameTime = 0;
+        if (this.isVisible) this.updateText();
+    }
+}
+
+// Initialize the performance HUD
+window.performanceHud = new PerformanceHud();
+
+// Export for use in other files
+window.PerformanceHud = PerformanceHud;
@@ -0,0 +1,283 @@
+/**
+ * Post Processing
+ * Optional underwater look for the ocean scene: refraction wobble, chromatic aberration towards the
+ * edges, vignette and depth of field on distant kelp. The scene is drawn into a render target and
+ * composited in one full-screen pass; the card gizmo is drawn afterwards, so it stays crisp.
+ */
+
+class PostProcessing {
+    /**
+     * Every effect can be switched off with `false` or tuned with an object, e.g.
+     *   new PostProcessing({ wobble: false, vignette: { strength: 0.6 } })
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.effects = {};
+        Object.keys(PostProcessing.DEFAULTS).forEach(name => {
+            this.effects[name] = PostProcessing.resolveEffect(name, options[name]);
+        });
+
+        // 'none', 'basic' (no depth of field) or 'full', from the quality tier
+        this.tierLevel = 'full';
+        this.target = null;
+        this.supportsDepth = false;
+        this.bufferSize = new THREE.Vector2();
+    }
+
+    static resolveEffect(name, settings) {
+        const effect = Object.assign({ enabled: true }, PostProcessing.DEFAULTS[name]);
+        if (settings === false) {
+            effect.enabled = false;
+        } else if (settings) {
+            Object.assign(effect, settings);
+        }
+        return effect;
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.renderer = sceneManager.getRenderer();
+        this.supportsDepth = this.renderer.capabilities.isWebGL2 || this.renderer.extensions.has('WEBGL_depth_texture');
+
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quadScene = new THREE.Scene();
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                tDiffuse: { value: null },
+                tDepth: { value: null },
+                uResolution: { value: new THREE.Vector2() },
+                uTime: { value: 0 },
+                uCameraNear: { value: 0.1 },
+                uCameraFar: { value: 1000 },
+                uWobble: { value: 0 },
+                uWobbleSpeed: { value: 1 },
+                uAberration: { value: 0 },
+                uVignette: { value: 0 },
+                uVignetteRadius: { value: 0.75 },
+                uDofBlur: { value: 0 },
+                uFocusDistance: { value: 16 },
+                uFocusRange: { value: 20 }
+            },
+            vertexShader: PostProcessing.SHADERS.vertex,
+            fragmentShader: PostProcessing.SHADERS.fragment,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quadScene.add(this.quad);
+
+        sceneManager.setPostProcessing(this);
+    }
+
+    // Switch one effect on/off or change its settings at runtime
+    setEffect(name, settings) {
+        if (!this.effects[name]) return;
+        if (settings === false || settings === true) {
+            this.effects[name].enabled = settings;
+        } else {
+            Object.assign(this.effects[name], settings);
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    // Quality tier hook
+    applyQualityTier(tier) {
+        this.tierLevel = tier.postEffects || 'full';
+        if (!this.isActive()) this.disposeTarget(); // Free the memory while the tier has no effects
+    }
+
+    isActive() {
+        if (!this.enabled || !this.material || this.tierLevel === 'none') return false;
+        return Object.keys(this.effects).some(name => this.isEffectOn(name));
+    }
+
+    isEffectOn(name) {
+        if (!this.effects[name].enabled) return false;
+        if (name === 'depthOfField') return this.tierLevel === 'full' && this.supportsDepth;
+        return true;
+    }
+
+    // Render target matching the drawing buffer (follows resizes and quality pixel-ratio changes)
+    ensureTarget() {
+        this.renderer.getDrawingBufferSize(this.bufferSize);
+        const width = this.bufferSize.x;
+        const height = this.bufferSize.y;
+
+        if (this.target && this.target.width === width && this.target.height === height) return;
+
+        if (this.target) {
+            this.target.setSize(width, height);
+        } else {
+            this.target = new THREE.WebGLRenderTarget(width, height, {
+                minFilter: THREE.LinearFilter,
+                magFilter: THREE.LinearFilter
+            });
+            if (this.supportsDepth) {
+                this.target.depthTexture = new THREE.DepthTexture(width, height);
+            }
+        }
+        this.material.uniforms.uResolution.value.set(width, height);
+    }
+
+    // Called by SceneManager in place of renderer.render(scene, camera)
+    render(renderer, scene, camera) {
+        this.ensureTarget();
+
+        renderer.setRenderTarget(this.target);
+        renderer.render(scene, camera);
+        renderer.setRenderTarget(null);
+
+        const uniforms = this.material.uniforms;
+        const effects = this.effects;
+        uniforms.tDiffuse.value = this.target.texture;
+        uniforms.tDepth.value = this.target.depthTexture;
+        uniforms.uCameraNear.value = camera.near;
+        uniforms.uCameraFar.value = camera.far;
+
+        // A strength of 0 skips the effect in the shader
+        uniforms.uWobble.value = this.isEffectOn('wobble') ? effects.wobble.strength : 0;
+        uniforms.uWobbleSpeed.value = effects.wobble.speed;
+        uniforms.uAberration.value = this.isEffectOn('aberration') ? effects.aberration.strength : 0;
+        uniforms.uVignette.value = this.isEffectOn('vignette') ? effects.vignette.strength : 0;
+        uniforms.uVignetteRadius.value = effects.vignette.radius;
+        uniforms.uDofBlur.value = this.isEffectOn('depthOfField') ? effects.depthOfField.maxBlur : 0;
+        uniforms.uFocusDistance.value = effects.depthOfField.focusDistance;
+        uniforms.uFocusRange.value = effects.depthOfField.focusRange;
+
+        renderer.render(this.quadScene, this.quadCamera);
+    }
+
+    update(dt, elapsed) {
+        if (this.material) this.material.uniforms.uTime.value = elapsed;
+    }
+
+    disposeTarget() {
+        if (!this.target) return;
+        if (this.target.depthTexture) this.target.depthTexture.dispose();
+        this.target.dispose();
+        this.target = null;
+    }
+
+    // SceneManager hook after a lost WebGL context came back: the render target lived in the old context
+    restoreContext() {
+        this.disposeTarget();
+        if (this.material) this.material.needsUpdate = true;
+    }
+
+    dispose() {
+        if (this.sceneManager && this.sceneManager.postProcessing === this) {
+            this.sceneManager.setPostProcessing(null);
+        }
+        this.disposeTarget();
+        if (this.quad) {
+            this.quad.geometry.dispose();
+            this.material.dispose();
+            this.quad = null;
+            this.material = null;
+        }
+    }
+}
+
+// Per-effect defaults (distances in world units, blur in drawing-buffer pixels)
+PostProcessing.DEFAULTS = {
+    wobble: { strength: 0.0015, speed: 1 },
+    aberration: { strength: 0.006 },
+    vignette: { strength: 0.45, radius: 0.8 },
+    depthOfField: { focusDistance: 16, focusRange: 20, maxBlur: 4 }
+};
+
+PostProcessing.SHADERS = {
+    vertex: `
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+    `,
+
+    fragment: `
+        #include <packing>
+
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tDepth;
+        uniform vec2 uResolution;
+        uniform float uTime;
+        uniform float uCameraNear;
+        uniform float uCameraFar;
+        uniform float uWobble;
+        uniform float uWobbleSpeed;
+        uniform float uAberration;
+        uniform float uVignette;
+        uniform float uVignetteRadius;
+        uniform float uDofBlur;
+        uniform float uFocusDistance;
+        uniform float uFocusRange;
+        varying vec2 vUv;
+
+        // 0 in focus, 1 fully blurred
+        float blurAmount(vec2 uv) {
+            float viewZ = perspectiveDepthToViewZ(texture2D(tDepth, uv).x, uCameraNear, uCameraFar);
+            return smoothstep(uFocusDistance, uFocusDistance + uFocusRange, -viewZ);
+        }
+
+        // Red and blue pulled apart more towards the corners
+        vec3 sampleScene(vec2 uv, vec2 fromCenter) {
+            if (uAberration <= 0.0) return texture2D(tDiffuse, uv).rgb;
+            vec2 shift = fromCenter * dot(fromCenter, fromCenter) * uAberration * 4.0;
+            return vec3(
+                texture2D(tDiffuse, uv + shift).r,
+                texture2D(tDiffuse, uv).g,
+                texture2D(tDiffuse, uv - shift).b
+            );
+        }
+
+        void main() {
+            vec2 uv = vUv;
+
+            // Refraction wobble: slow, crossing ripples
+            if (uWobble > 0.0) {
+                float t = uTime * uWobbleSpeed;
+                uv += vec2(sin(uv.y * 16.0 + t * 1.3), cos(uv.x * 12.0 + t * 1.1)) * uWobble;
+            }
+
+            vec2 fromCenter = uv - 0.5;
+            vec3 color = sampleScene(uv, fromCenter);
+
+            // Depth of field: a ring of taps, each weighted by its own blur so sharp edges don't bleed outwards
+            if (uDofBlur > 0.0) {
+                float blur = blurAmount(uv);
+                if (blur > 0.01) {
+                    vec2 radius = blur * uDofBlur / uResolution;
+                    vec3 sum = color;
+                    float weight = 1.0;
+                    for (int i = 0; i < 8; i++) {
+                        float angle = float(i) * 0.785398;
+                        vec2 offset = vec2(cos(angle), sin(angle)) * radius;
+                        float tapWeight = blurAmount(uv + offset);
+                        sum += sampleScene(uv + offset, fromCenter) * tapWeight;
+                        weight += tapWeight;
+                        float innerWeight = blurAmount(uv + offset * 0.5);
+                        sum += sampleScene(uv + offset * 0.5, fromCenter) * innerWeight;
+                        weight += innerWeight;
+                    }
+                    color = sum / weight;
+                }
+            }
+
+            if (uVignette > 0.0) {
+                float edge = smoothstep(uVignetteRadius - 0.4, uVignetteRadius + 0.35, length(fromCenter) * 1.41421);
+                color *= 1.0 - edge * uVignette;
+            }
+
+            gl_FragColor = vec4(color, 1.0);
+        }
+    `
+};
+
+// Export for use in other files
+window.PostProcessing = PostProcessing;
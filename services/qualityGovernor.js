@@ -0,0 +1,203 @@
+/**
+ * Quality Governor
+ * Measures frame time and steps the scene between quality tiers so slower devices hold a stable frame rate
+ */
+
+class QualityGovernor {
+    constructor(options = {}) {
+        this.tiers = options.tiers || QualityGovernor.TIERS;
+        this.adaptive = options.adaptive !== false;
+        this.downgradeFps = options.downgradeFps || 40; // Drop a tier when the average falls below this
+        this.upgradeFps = options.upgradeFps || 57;     // Climb a tier when the average stays above this
+        this.sampleWindow = options.sampleWindow || 2000; // ms of frames averaged per decision
+        this.cooldown = options.cooldown || 4000;         // ms to wait after a change before judging again
+        // ms not judged after the first frame and after models finish loading (parsing, shader compiles)
+        this.warmup = options.warmup !== undefined ? options.warmup : 3000;
+        this.warmupEnd = null; // Set by the first frame sampled
+        this.storageKey = 'aquarex-quality-tier';
+        this.frameRateCap = Infinity; // Set when the render loop is throttled
+
+        this.hooks = [];
+        this.averageFps = 60;
+        this.lastFrameTime = null;
+        this.lastChangeTime = 0;
+        this.resetWindow(0);
+
+        this.tierIndex = this.resolveInitialTier(options.tier);
+        // Highest tier we are allowed to climb back into; lowered whenever a tier proves too slow
+        this.ceilingIndex = this.tiers.length - 1;
+    }
+
+    resolveInitialTier(requestedTier) {
+        // Explicit tier from the page wins
+        const requestedIndex = this.findTierIndex(requestedTier);
+        if (requestedIndex !== -1) return requestedIndex;
+
+        // Reuse the tier a previous page settled on this session (keeps antialias consistent)
+        try {
+            const savedIndex = this.findTierIndex(sessionStorage.getItem(this.storageKey));
+            if (savedIndex !== -1) return savedIndex;
+        } catch (error) {
+            // sessionStorage can be unavailable (privacy mode), fall through to detection
+        }
+
+        return this.findTierIndex(QualityGovernor.detectDeviceTier());
+    }
+
+    // Rough first guess from device hints; the frame-time measurements correct it afterwards
+    static detectDeviceTier() {
+        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
+                        window.innerWidth <= 768;
+        const cores = navigator.hardwareConcurrency || 4;
+
+        if (cores <= 2) return 'low';
+        if (isMobile || cores <= 4) return 'medium';
+        return 'high';
+    }
+
+    findTierIndex(name) {
+        if (!name) return -1;
+        return this.tiers.findIndex(tier => tier.name === name);
+    }
+
+    resetWindow(now) {
+        this.windowStart = now;
+        this.frameTimeTotal = 0;
+        this.frameCount = 0;
+    }
+
+    // Feed one frame timestamp (ms); called from the render loop
+    sample(now) {
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = now;
+            if (this.warmupEnd === null) this.warmupEnd = now + this.warmup;
+            this.resetWindow(now);
+            return;
+        }
+
+        const frameTime = now - this.lastFrameTime;
+        this.lastFrameTime = now;
+
+        // Long gaps mean the tab was in the background, not that the frame was slow; the first frames
+        // after start or a load are slow once, and a downgrade then would lower the ceiling for the session
+        if (frameTime > 250 || now < this.warmupEnd) {
+            this.resetWindow(now);
+            return;
+        }
+
+        this.frameTimeTotal += frameTime;
+        this.frameCount++;
+
+        if (now - this.windowStart < this.sampleWindow) return;
+
+        this.averageFps = 1000 / (this.frameTimeTotal / this.frameCount);
+        this.resetWindow(now);
+
+        if (!this.adaptive || now - this.lastChangeTime < this.cooldown) return;
+
+        // A throttled loop can never reach the normal thresholds, so judge it against its own cap
+        const downgradeFps = Math.min(this.downgradeFps, this.frameRateCap * 0.7);
+        const upgradeFps = Math.min(this.upgradeFps, this.frameRateCap * 0.95);
+
+        if (this.averageFps < downgradeFps && this.tierIndex > 0) {
+            // Don't climb back into a tier that already couldn't hold the frame rate
+            this.ceilingIndex = this.tierIndex - 1;
+            this.lastChangeTime = now;
+            this.setTier(this.tierIndex - 1);
+        } else if (this.averageFps >= upgradeFps && this.tierIndex < this.ceilingIndex) {
+            this.lastChangeTime = now;
+            this.setTier(this.tierIndex + 1);
+        }
+    }
+
+    // Don't judge the next `warmup` ms, e.g. while newly loaded models compile their shaders
+    restartWarmup() {
+        this.warmupEnd = null;
+        this.resetTiming();
+    }
+
+    // Forget the last timestamp so a paused loop isn't measured as one huge frame
+    resetTiming() {
+        this.lastFrameTime = null;
+    }
+
+    setFrameRateCap(fps) {
+        this.frameRateCap = fps;
+        this.resetTiming();
+    }
+
+    // Switch tier by index or name and notify every hook
+    setTier(tier) {
+        const index = typeof tier === 'string' ? this.findTierIndex(tier) : tier;
+        if (index < 0 || index >= this.tiers.length || index === this.tierIndex) return;
+
+        const previousTier = this.getTier();
+        this.tierIndex = index;
+
+        try {
+            sessionStorage.setItem(this.storageKey, this.getTier().name);
+        } catch (error) {
+            // Not persisting is fine, the next page just detects again
+        }
+
+        this.hooks.forEach(hook => hook(this.getTier(), previousTier));
+    }
+
+    getTier() {
+        return this.tiers[this.tierIndex];
+    }
+
+    // Register a tier hook; it runs immediately with the current tier and again on every change
+    addHook(hook) {
+        this.hooks.push(hook);
+        hook(this.getTier(), null);
+
+        return () => {
+            this.hooks = this.hooks.filter(existing => existing !== hook);
+        };
+    }
+}
+
+// Ordered from cheapest to most expensive.
+// Antialiasing is fixed when the WebGL context is created, so a change only takes effect on the next page load.
+QualityGovernor.TIERS = [
+    {
+        name: 'low',
+        maxPixelRatio: 1,
+        antialias: false,
+        particleCounts: [2500, 1750, 1000],
+        kelpCount: 60,
+        fishCount: 20,
+        lightShafts: 0,
+        caustics: false,
+        postEffects: 'none',
+        spotlightBeams: false
+    },
+    {
+        name: 'medium',
+        maxPixelRatio: 1.5,
+        antialias: false,
+        particleCounts: [6000, 4200, 2400],
+        kelpCount: 200,
+        fishCount: 40,
+        lightShafts: 5,
+        caustics: true,
+        postEffects: 'basic',
+        spotlightBeams: true
+    },
+    {
+        name: 'high',
+        maxPixelRatio: Infinity,
+        antialias: true,
+        particleCounts: [10000, 7000, 4000],
+        kelpCount: 400,
+        fishCount: 60,
+        lightShafts: 9,
+        caustics: true,
+        postEffects: 'full',
+        spotlightBeams: true
+    }
+];
+
+// Export for use in other files
+window.QualityGovernor = QualityGovernor;
@@ -0,0 +1,528 @@
+/**
+ * Scene Inspector
+ * Developer panel for live tuning of the 3D scene (companion to the colour panel, Ctrl+Shift+X).
+ * Lists the systems registered with SceneManager, shows their numeric parameters as sliders,
+ * applies changes immediately and exports the values as JSON that OceanScene.mount({ tuning }) accepts.
+ */
+
+class SceneInspector {
+    constructor() {
+        this.panel = null;
+        this.isVisible = false;
+        this.statusTimeout = null;
+        this.sceneManager = null;
+        this.originalValues = {};
+        this.init();
+    }
+
+    init() {
+        window.showSceneInspector = () => this.show();
+        window.hideSceneInspector = () => this.hide();
+        window.exportSceneTuning = () => this.exportValues();
+
+        // Keyboard shortcut (Ctrl+Shift+X); the colour panel has Ctrl+Shift+C
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey && e.shiftKey && (e.key === 'X' || e.key === 'x')) {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+    }
+
+    // Called by OceanScene.mount (or the page) once the systems are registered
+    static attach(sceneManager) {
+        const inspector = window.sceneInspector;
+        if (!inspector) return;
+        inspector.sceneManager = sceneManager;
+        inspector.originalValues = inspector.collectValues();
+    }
+
+    // Systems with a name each; a second instance of a class becomes 'Kelp#2'
+    getEntries() {
+        if (!this.sceneManager) return [];
+
+        const seen = {};
+        return this.sceneManager.systems.map(system => {
+            const className = system.constructor && system.constructor !== Object ? system.constructor.name : null;
+            let name = className || 'Anonymous system';
+            seen[name] = (seen[name] || 0) + 1;
+            if (seen[name] > 1) name += '#' + seen[name];
+            return {
+                name: name,
+                system: system,
+                parameters: ((className && SceneInspector.PARAMETERS[className]) || [])
+                    .filter(parameter => !parameter.available || parameter.available(system))
+            };
+        });
+    }
+
+    // { SystemName: { parameterKey: value } } for every tunable parameter
+    collectValues() {
+        const values = {};
+        this.getEntries().forEach(entry => {
+            if (entry.parameters.length === 0) return;
+            values[entry.name] = {};
+            entry.parameters.forEach(parameter => {
+                values[entry.name][parameter.key] = SceneInspector.round(parameter.get(entry.system), parameter.step);
+            });
+        });
+        return values;
+    }
+
+    // Apply an exported JSON object (or string); unknown systems and keys are skipped
+    applyValues(values) {
+        if (!this.sceneManager) return;
+        if (typeof values === 'string') values = JSON.parse(values);
+
+        this.getEntries().forEach(entry => {
+            const systemValues = values[entry.name];
+            if (!systemValues) return;
+            entry.parameters.forEach(parameter => {
+                if (systemValues[parameter.key] !== undefined) parameter.set(entry.system, systemValues[parameter.key]);
+            });
+        });
+
+        this.sceneManager.requestRender();
+        if (this.isVisible) this.refreshPanel();
+    }
+
+    setValue(systemName, key, value) {
+        const entry = this.getEntries().find(candidate => candidate.name === systemName);
+        const parameter = entry && entry.parameters.find(candidate => candidate.key === key);
+        if (!parameter) return;
+
+        parameter.set(entry.system, parseFloat(value));
+        this.sceneManager.requestRender(); // Paused or reduced-motion pages still show the change
+
+        // Keep the slider and number field in step
+        const row = this.panel && this.panel.querySelector(`[data-parameter="${systemName}.${key}"]`);
+        if (row) {
+            row.querySelectorAll('input').forEach(input => {
+                if (input.value !== String(value)) input.value = value;
+            });
+        }
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'scene-inspector-panel';
+
+        let sectionsHTML = '';
+        this.getEntries().forEach(entry => {
+            const rows = entry.parameters.map(parameter => this.createParameterRow(entry, parameter)).join('');
+            sectionsHTML += `
+            <details class="inspector-section" ${rows ? 'open' : ''}>
+                <summary>${entry.name}</summary>
+                ${rows || '<div class="inspector-empty">No tunable parameters</div>'}
+            </details>`;
+        });
+        if (!this.sceneManager) {
+            sectionsHTML = '<div class="inspector-empty">No scene on this page (SceneInspector.attach was not called)</div>';
+        }
+
+        panel.innerHTML = `
+            <style>
+                #scene-inspector-panel {
+                    position: fixed;
+                    top: 20px;
+                    left: 20px;
+                    width: 360px;
+                    max-height: 80vh;
+                    background: rgba(0, 0, 0, 0.95);
+                    border: 2px solid var(--primary-color);
+                    border-radius: 12px;
+                    padding: 20px;
+                    z-index: 10000;
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    color: white;
+                    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.8);
+                    backdrop-filter: blur(20px);
+                    overflow-y: auto;
+                    font-size: 13px;
+                }
+
+                #scene-inspector-panel h2 {
+                    margin: 0 0 15px 0;
+                    color: var(--primary-color);
+                    font-size: 18px;
+                    text-align: center;
+                    border-bottom: 2px solid var(--primary-color);
+                    padding-bottom: 10px;
+                    cursor: move;
+                }
+
+                .inspector-section {
+                    margin-bottom: 14px;
+                }
+
+                .inspector-section summary {
+                    color: var(--primary-color);
+                    font-size: 14px;
+                    text-transform: uppercase;
+                    letter-spacing: 1px;
+                    cursor: pointer;
+                    margin-bottom: 8px;
+                }
+
+                .inspector-item {
+                    display: flex;
+                    align-items: center;
+                    margin-bottom: 6px;
+                    gap: 8px;
+                }
+
+                .inspector-item label {
+                    flex: 1;
+                    font-size: 11px;
+                    color: #ccc;
+                }
+
+                .inspector-item input[type="range"] {
+                    width: 120px;
+                    accent-color: var(--primary-color);
+                }
+
+                .inspector-item input[type="number"] {
+                    width: 64px;
+                    height: 24px;
+                    background: rgba(255, 255, 255, 0.1);
+                    border: 1px solid #444;
+                    border-radius: 4px;
+                    color: white;
+                    text-align: center;
+                    font-size: 11px;
+                    font-family: monospace;
+                }
+
+                .inspector-empty {
+                    font-size: 11px;
+                    color: #888;
+                    margin-bottom: 6px;
+                }
+
+                #scene-inspector-panel .panel-controls {
+                    display: flex;
+                    gap: 10px;
+                    margin-top: 20px;
+                    padding-top: 15px;
+                    border-top: 1px solid #444;
+                }
+
+                #scene-inspector-panel .panel-controls button {
+                    flex: 1;
+                    padding: 8px 12px;
+                    background: var(--primary-color);
+                    color: var(--text-contrast);
+                    border: none;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    font-size: 11px;
+                    font-weight: bold;
+                    text-transform: uppercase;
+                }
+
+                #scene-inspector-panel .panel-controls button.secondary {
+                    background: rgba(255, 255, 255, 0.1);
+                    color: white;
+                }
+
+                .inspector-status {
+                    min-height: 14px;
+                    margin-top: 10px;
+                    font-size: 11px;
+                    color: #2ecc71;
+                    text-align: center;
+                }
+
+                .inspector-status.error {
+                    color: #e74c3c;
+                }
+            </style>
+
+            <h2>Scene Inspector</h2>
+
+            ${sectionsHTML}
+
+            <div class="panel-controls">
+                <button onclick="window.sceneInspector.resetValues()">Reset</button>
+                <button onclick="window.sceneInspector.exportValues()" class="secondary">Export</button>
+                <button onclick="window.sceneInspector.importValues()" class="secondary">Import</button>
+                <button onclick="hideSceneInspector()" class="secondary">Close</button>
+            </div>
+            <div class="inspector-status"></div>
+        `;
+
+        return panel;
+    }
+
+    createParameterRow(entry, parameter) {
+        const value = SceneInspector.round(parameter.get(entry.system), parameter.step);
+        const handler = `window.sceneInspector.setValue('${entry.name}', '${parameter.key}', this.value)`;
+
+        return `
+            <div class="inspector-item" data-parameter="${entry.name}.${parameter.key}">
+                <label>${parameter.label}</label>
+                <input type="range" min="${parameter.min}" max="${parameter.max}" step="${parameter.step}" value="${value}" oninput="${handler}">
+                <input type="number" min="${parameter.min}" max="${parameter.max}" step="${parameter.step}" value="${value}" oninput="${handler}">
+            </div>
+        `;
+    }
+
+    // Avoid 0.30000000000000004 in the fields and the export
+    static round(value, step) {
+        const decimals = Math.max(0, Math.ceil(-Math.log10(step)) + 1);
+        return parseFloat(value.toFixed(decimals));
+    }
+
+    show() {
+        if (this.isVisible) return;
+
+        this.panel = this.createPanel();
+        document.body.appendChild(this.panel);
+        this.isVisible = true;
+        this.makeDraggable();
+    }
+
+    hide() {
+        if (!this.isVisible || !this.panel) return;
+
+        clearTimeout(this.statusTimeout);
+        document.body.removeChild(this.panel);
+        this.panel = null;
+        this.isVisible = false;
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    refreshPanel() {
+        this.hide();
+        this.show();
+    }
+
+    // One-line feedback under the buttons; fades after a few seconds
+    showStatus(message, isError = false) {
+        const status = this.panel && this.panel.querySelector('.inspector-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        clearTimeout(this.statusTimeout);
+        this.statusTimeout = setTimeout(() => { status.textContent = ''; }, 4000);
+    }
+
+    resetValues() {
+        this.applyValues(this.originalValues);
+        this.showStatus('Reset to the values the page started with');
+    }
+
+    // Copies the JSON for OceanScene.mount({ tuning }); logged instead when the clipboard isn't available
+    exportValues() {
+        const json = JSON.stringify(this.collectValues(), null, 2);
+        const logInstead = () => {
+            console.log(json);
+            this.showStatus('Clipboard unavailable, JSON logged to the console', true);
+        };
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json).then(() => this.showStatus('Tuning JSON copied to the clipboard'), logInstead);
+        } else {
+            logInstead();
+        }
+        return json;
+    }
+
+    importValues() {
+        const json = window.prompt('Paste exported scene tuning JSON');
+        if (!json) return;
+
+        try {
+            this.applyValues(json);
+            this.showStatus('Tuning imported');
+        } catch (error) {
+            this.showStatus('Could not read that JSON', true);
+        }
+    }
+
+    makeDraggable() {
+        const header = this.panel.querySelector('h2');
+        let startX = 0;
+        let startY = 0;
+        let offsetX = 0;
+        let offsetY = 0;
+
+        header.addEventListener('mousedown', (e) => {
+            startX = e.clientX - offsetX;
+            startY = e.clientY - offsetY;
+
+            const drag = (moveEvent) => {
+                offsetX = moveEvent.clientX - startX;
+                offsetY = moveEvent.clientY - startY;
+                this.panel.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+            };
+            const dragEnd = () => {
+                document.removeEventListener('mousemove', drag);
+                document.removeEventListener('mouseup', dragEnd);
+            };
+            document.addEventListener('mousemove', drag);
+            document.addEventListener('mouseup', dragEnd);
+        });
+    }
+
+    // Add or replace the tunable parameters of a system class (e.g. a page's own system)
+    static register(className, parameters) {
+        SceneInspector.PARAMETERS[className] = parameters;
+    }
+}
+
+// Point size of a particle layer for either material type
+SceneInspector.getParticleSize = (ocean, index) => {
+    const material = ocean.particleSystems[index].material;
+    return material.isShaderMaterial ? material.uniforms.uSize.value : material.size;
+};
+
+// Sparse particles array, so a preset only touches one layer
+SceneInspector.layerPreset = (index, fields) => {
+    const particles = [];
+    particles[index] = fields;
+    return { particles: particles };
+};
+
+/**
+ * Tunable parameters per system class: key (used in the export), label, slider range, and how to read
+ * and write the value on a live instance; optional available(system) hides a parameter the instance
+ * doesn't have. Setters go through the systems' own APIs where they exist.
+ */
+SceneInspector.PARAMETERS = {
+    OceanBackground: [
+        { key: 'fogSurfaceDensity', label: 'Fog density (surface)', min: 0, max: 0.4, step: 0.005,
+            get: (ocean) => ocean.originalFogDensity,
+            set: (ocean, value) => ocean.applyPreset({ fog: { surfaceDensity: value } }) },
+        { key: 'fogDeepDensity', label: 'Fog density (deep)', min: 0, max: 0.5, step: 0.005,
+            get: (ocean) => ocean.targetFogDensity,
+            set: (ocean, value) => ocean.applyPreset({ fog: { deepDensity: value } }) },
+        { key: 'ambientLight', label: 'Ambient light', min: 0, max: 2, step: 0.01,
+            get: (ocean) => ocean.lightIntensities.ambient,
+            set: (ocean, value) => ocean.applyPreset({ lights: { ambient: value } }) },
+        { key: 'directionalLight', label: 'Directional light', min: 0, max: 2, step: 0.01,
+            get: (ocean) => ocean.lightIntensities.directional,
+            set: (ocean, value) => ocean.applyPreset({ lights: { directional: value } }) },
+        { key: 'cursorLight', label: 'Cursor light', min: 0, max: 8, step: 0.1,
+            get: (ocean) => ocean.lightIntensities.cursor,
+            set: (ocean, value) => ocean.applyPreset({ lights: { cursor: value } }) },
+        ...[0, 1, 2].map(index => (
+            { key: `particleSize${index + 1}`, label: `Particle size (layer ${index + 1})`, min: 0.005, max: 0.12, step: 0.001,
+                available: (ocean) => !!ocean.particleSystems[index],
+                get: (ocean) => SceneInspector.getParticleSize(ocean, index),
+                set: (ocean, value) => ocean.applyPreset(SceneInspector.layerPreset(index, { size: value })) }
+        )),
+        ...[0, 1, 2].map(index => (
+            { key: `particleOpacity${index + 1}`, label: `Particle opacity (layer ${index + 1})`, min: 0, max: 1, step: 0.01,
+                available: (ocean) => !!ocean.particleSystems[index],
+                get: (ocean) => {
+                    const material = ocean.particleSystems[index].material;
+                    return material.isShaderMaterial ? material.uniforms.uOpacity.value : material.opacity;
+                },
+                set: (ocean, value) => ocean.applyPreset(SceneInspector.layerPreset(index, { opacity: value })) }
+        ))
+    ],
+    CameraMovement: [
+        { key: 'easingFactor', label: 'Parallax easing', min: 0.005, max: 0.3, step: 0.005,
+            get: (movement) => movement.easingFactor,
+            set: (movement, value) => { movement.easingFactor = value; } },
+        { key: 'gyroRange', label: 'Gyro range (degrees)', min: 5, max: 60, step: 1,
+            get: (movement) => movement.gyroRange,
+            set: (movement, value) => { movement.gyroRange = value; } },
+        { key: 'gyroSmoothing', label: 'Gyro smoothing', min: 1, max: 20, step: 0.5,
+            get: (movement) => movement.gyroSmoothing,
+            set: (movement, value) => { movement.gyroSmoothing = value; } }
+    ],
+    Kelp: [
+        { key: 'swayScale', label: 'Sway intensity', min: 0, max: 4, step: 0.05,
+            get: (kelp) => kelp.swayUniforms.uSwayScale.value,
+            set: (kelp, value) => { kelp.swayUniforms.uSwayScale.value = value; } },
+        { key: 'swaySpeed', label: 'Sway speed', min: 0, max: 1, step: 0.01,
+            get: (kelp) => kelp.swayUniforms.uSwaySpeed.value,
+            set: (kelp, value) => { kelp.swayUniforms.uSwaySpeed.value = value; } },
+        { key: 'opacity', label: 'Opacity', min: 0, max: 1, step: 0.01,
+            get: (kelp) => kelp.kelpMaterial.opacity,
+            set: (kelp, value) => kelp.applyPreset({ kelp: { opacity: value } }) }
+    ],
+    Submarine: [
+        { key: 'spotlightIntensity', label: 'Spotlight intensity', min: 0, max: 6, step: 0.1,
+            get: (submarine) => submarine.SPOTLIGHT_INTENSITY,
+            set: (submarine, value) => submarine.applyPreset({ submarine: { spotlightIntensity: value } }) },
+        { key: 'beamOpacity', label: 'Beam opacity', min: 0, max: 1, step: 0.01,
+            get: (submarine) => submarine.beamOpacity,
+            set: (submarine, value) => submarine.applyPreset({ submarine: { beamOpacity: value } }) },
+        { key: 'flickerIntervalMin', label: 'Flicker interval min (s)', min: 1, max: 60, step: 0.5,
+            get: (submarine) => submarine.flickerIntervalMin / 1000,
+            set: (submarine, value) => { submarine.flickerIntervalMin = value * 1000; } },
+        { key: 'flickerIntervalRange', label: 'Flicker interval spread (s)', min: 0, max: 60, step: 0.5,
+            get: (submarine) => submarine.flickerIntervalRange / 1000,
+            set: (submarine, value) => { submarine.flickerIntervalRange = value * 1000; } }
+    ],
+    Fish: [
+        { key: 'minSpeed', label: 'Min speed', min: 0, max: 5, step: 0.1,
+            get: (fish) => fish.minSpeed,
+            set: (fish, value) => { fish.minSpeed = value; } },
+        { key: 'maxSpeed', label: 'Max speed', min: 0.5, max: 8, step: 0.1,
+            get: (fish) => fish.maxSpeed,
+            set: (fish, value) => { fish.maxSpeed = value; } },
+        { key: 'neighbourRadius', label: 'Neighbour radius', min: 0.5, max: 6, step: 0.1,
+            get: (fish) => fish.neighbourRadius,
+            set: (fish, value) => { fish.neighbourRadius = value; } },
+        ...['separation', 'alignment', 'cohesion', 'cursor'].map(rule => (
+            { key: `${rule}Weight`, label: `${rule.charAt(0).toUpperCase() + rule.slice(1)} weight`, min: 0, max: 5, step: 0.1,
+                get: (fish) => fish.weights[rule],
+                set: (fish, value) => { fish.weights[rule] = value; } }
+        ))
+    ],
+    Bubbles: [
+        { key: 'hullRate', label: 'Hull bubbles / s', min: 0, max: 20, step: 0.5,
+            get: (bubbles) => bubbles.hullRate,
+            set: (bubbles, value) => { bubbles.hullRate = value; } },
+        { key: 'clickBurst', label: 'Click burst', min: 0, max: 60, step: 1,
+            get: (bubbles) => bubbles.clickBurst,
+            set: (bubbles, value) => { bubbles.clickBurst = value; } },
+        { key: 'scrollBoost', label: 'Scroll boost', min: 0, max: 15, step: 0.5,
+            get: (bubbles) => bubbles.scrollBoost,
+            set: (bubbles, value) => { bubbles.scrollBoost = value; } }
+    ],
+    SurfaceLight: [
+        { key: 'rayOpacity', label: 'God ray opacity', min: 0, max: 0.5, step: 0.01,
+            get: (light) => light.rayOpacity,
+            set: (light, value) => { light.rayOpacity = value; } },
+        { key: 'causticsIntensity', label: 'Caustics intensity', min: 0, max: 1.5, step: 0.01,
+            get: (light) => light.causticsIntensity,
+            set: (light, value) => { light.causticsIntensity = value; } },
+        { key: 'fadeDepth', label: 'Fade depth', min: 0.05, max: 1, step: 0.01,
+            get: (light) => light.fadeDepth,
+            set: (light, value) => { light.fadeDepth = value; } }
+    ],
+    PostProcessing: [
+        { key: 'wobble', label: 'Wobble', min: 0, max: 0.01, step: 0.0005,
+            get: (post) => post.effects.wobble.strength,
+            set: (post, value) => post.setEffect('wobble', { strength: value }) },
+        { key: 'aberration', label: 'Chromatic aberration', min: 0, max: 0.03, step: 0.001,
+            get: (post) => post.effects.aberration.strength,
+            set: (post, value) => post.setEffect('aberration', { strength: value }) },
+        { key: 'vignette', label: 'Vignette', min: 0, max: 1, step: 0.01,
+            get: (post) => post.effects.vignette.strength,
+            set: (post, value) => post.setEffect('vignette', { strength: value }) },
+        { key: 'focusDistance', label: 'Focus distance', min: 1, max: 60, step: 0.5,
+            get: (post) => post.effects.depthOfField.focusDistance,
+            set: (post, value) => post.setEffect('depthOfField', { focusDistance: value }) }
+    ]
+};
+
+// Initialize the scene inspector
+window.sceneInspector = new SceneInspector();
+
+// Export for use in other files
+window.SceneInspector = SceneInspector;
@@ -0,0 +1,243 @@
+/**
+ * Scene Interaction
+ * Raycasts pointer input (mouse, touch, pen) against registered scene objects and emits
+ * enter, leave, hover and click events with the hit info
+ */
+
+class SceneInteraction {
+    constructor(options = {}) {
+        this.clickTolerance = options.clickTolerance || 8;  // px a press may move and still count as a click
+        this.clickMaxDuration = options.clickMaxDuration || 500; // ms
+        this.ignoreSelector = options.ignoreSelector || SceneInteraction.IGNORE_SELECTOR;
+
+        this.priority = -5; // Before the systems that react to hover state
+        this.targets = new Map(); // registered object -> { handlers, cursor }
+        this.listeners = { enter: [], leave: [], hover: [], click: [] };
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerType = 'mouse';
+        this.hasPointer = false;
+        this.pointerMoved = false;
+        this.press = null;
+        this.hovered = null; // { object, hit }
+        this.savedCursor = null;
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.camera = sceneManager.getCamera();
+
+        this.onPointerMove = (e) => {
+            if (!e.isPrimary) return;
+            this.setPointer(e);
+        };
+
+        this.onPointerDown = (e) => {
+            if (!e.isPrimary || this.isIgnored(e)) return;
+            this.setPointer(e);
+            this.press = { x: e.clientX, y: e.clientY, time: e.timeStamp };
+
+            // Touch has no hover, so pressing is what "enters" an object
+            if (e.pointerType !== 'mouse') this.updateHover(e);
+        };
+
+        this.onPointerUp = (e) => {
+            if (!e.isPrimary || !this.press) return;
+            const press = this.press;
+            this.press = null;
+
+            const moved = Math.hypot(e.clientX - press.x, e.clientY - press.y);
+            if (moved <= this.clickTolerance && e.timeStamp - press.time <= this.clickMaxDuration && !this.isIgnored(e)) {
+                this.setPointer(e);
+                const result = this.pick();
+                if (result) this.emit('click', result.object, result.hit, e);
+            }
+
+            if (e.pointerType !== 'mouse') this.clearHover(e);
+        };
+
+        this.onPointerCancel = (e) => {
+            this.press = null;
+            this.clearHover(e);
+        };
+
+        this.onPointerLeave = (e) => {
+            this.hasPointer = false;
+            this.clearHover(e);
+        };
+
+        document.addEventListener('pointermove', this.onPointerMove, { passive: true });
+        document.addEventListener('pointerdown', this.onPointerDown, { passive: true });
+        document.addEventListener('pointerup', this.onPointerUp, { passive: true });
+        document.addEventListener('pointercancel', this.onPointerCancel);
+        document.documentElement.addEventListener('pointerleave', this.onPointerLeave);
+    }
+
+    /**
+     * Make an object (and its descendants) pickable. Handlers are optional:
+     *   { onEnter(event), onLeave(event), onHover(event), onClick(event) }
+     * options.cursor sets the page cursor while the object is hovered (e.g. 'pointer').
+     * Returns a function that unregisters the object.
+     */
+    register(object, handlers = {}, options = {}) {
+        this.targets.set(object, { handlers: handlers, cursor: options.cursor || null });
+        return () => this.unregister(object);
+    }
+
+    unregister(object) {
+        if (this.hovered && this.hovered.object === object) this.clearHover(null);
+        this.targets.delete(object);
+    }
+
+    // Listen to every registered object: 'enter', 'leave', 'hover' or 'click'
+    on(type, listener) {
+        this.listeners[type].push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.listeners[type] = this.listeners[type].filter(existing => existing !== listener);
+    }
+
+    isIgnored(e) {
+        return e.target && e.target.closest && e.target.closest(this.ignoreSelector) !== null;
+    }
+
+    setPointer(e) {
+        const viewport = this.sceneManager.viewport;
+        this.pointer.set(
+            (e.clientX / viewport.width) * 2 - 1,
+            -(e.clientY / viewport.height) * 2 + 1
+        );
+        this.pointerType = e.pointerType || 'mouse';
+        this.hasPointer = true;
+        this.pointerMoved = true;
+    }
+
+    // Nearest visible hit on a registered object, or null
+    pick() {
+        if (this.targets.size === 0) return null;
+
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        const hits = this.raycaster.intersectObjects(Array.from(this.targets.keys()), true);
+
+        for (const hit of hits) {
+            if (!SceneInteraction.isVisible(hit.object)) continue;
+            const object = this.findRegistered(hit.object);
+            if (object) return { object: object, hit: hit };
+        }
+        return null;
+    }
+
+    // Walk up from the mesh that was hit to the object that was registered
+    findRegistered(object) {
+        let current = object;
+        while (current) {
+            if (this.targets.has(current)) return current;
+            current = current.parent;
+        }
+        return null;
+    }
+
+    // The raycaster ignores .visible, so hidden objects (quality tiers, presets) are filtered here
+    static isVisible(object) {
+        let current = object;
+        while (current) {
+            if (!current.visible) return false;
+            current = current.parent;
+        }
+        return true;
+    }
+
+    updateHover(originalEvent) {
+        const result = this.hasPointer ? this.pick() : null;
+        const previous = this.hovered;
+
+        if (previous && (!result || result.object !== previous.object)) {
+            this.hovered = null;
+            this.emit('leave', previous.object, previous.hit, originalEvent);
+        }
+
+        if (result) {
+            if (!previous || result.object !== previous.object) {
+                this.hovered = result;
+                this.emit('enter', result.object, result.hit, originalEvent);
+            }
+            this.hovered = result;
+            this.emit('hover', result.object, result.hit, originalEvent);
+        }
+
+        this.updateCursor();
+    }
+
+    clearHover(originalEvent) {
+        if (!this.hovered) return;
+        const previous = this.hovered;
+        this.hovered = null;
+        this.emit('leave', previous.object, previous.hit, originalEvent);
+        this.updateCursor();
+    }
+
+    updateCursor() {
+        const target = this.hovered ? this.targets.get(this.hovered.object) : null;
+        const cursor = target ? target.cursor : null;
+        const style = document.documentElement.style;
+
+        if (cursor) {
+            if (this.savedCursor === null) this.savedCursor = style.cursor;
+            style.cursor = cursor;
+        } else if (this.savedCursor !== null) {
+            style.cursor = this.savedCursor;
+            this.savedCursor = null;
+        }
+    }
+
+    emit(type, object, hit, originalEvent) {
+        const event = {
+            type: type,
+            object: object,
+            hit: hit,
+            pointer: { x: this.pointer.x, y: this.pointer.y },
+            pointerType: this.pointerType,
+            originalEvent: originalEvent || null
+        };
+
+        const target = this.targets.get(object);
+        const handlerName = 'on' + type.charAt(0).toUpperCase() + type.slice(1);
+        if (target && typeof target.handlers[handlerName] === 'function') {
+            target.handlers[handlerName](event);
+        }
+        this.listeners[type].forEach(listener => listener(event));
+    }
+
+    update() {
+        // Hover is picked once per frame at most, and only for mouse/pen (touch hovers while pressed)
+        if (this.pointerMoved && this.pointerType !== 'touch') {
+            this.updateHover(null);
+        } else if (this.hovered) {
+            // Objects move under a still pointer; keep reporting what is under it
+            this.updateHover(null);
+        }
+        this.pointerMoved = false;
+    }
+
+    dispose() {
+        document.removeEventListener('pointermove', this.onPointerMove);
+        document.removeEventListener('pointerdown', this.onPointerDown);
+        document.removeEventListener('pointerup', this.onPointerUp);
+        document.removeEventListener('pointercancel', this.onPointerCancel);
+        document.documentElement.removeEventListener('pointerleave', this.onPointerLeave);
+
+        this.clearHover(null);
+        this.targets.clear();
+    }
+}
+
+// DOM elements that keep their own clicks (the canvas sits behind the page content); Bubbles and
+// CameraMovement skip the same elements
+SceneInteraction.IGNORE_SELECTOR = 'a, button, input, textarea, select, label, [contenteditable], .no-scene-interaction';
+
+// Export for use in other files
+window.SceneInteraction = SceneInteraction;
@@ -4,20 +4,66 @@
  */
 
 class SceneManager {
-    constructor() {
+    constructor(options = {}) {
         this.scene = null;
         this.cardScene = null;
         this.camera = null;
         this.cardCamera = null;
         this.renderer = null;
         this.cardRenderer = null;
-        this.systems = [];
+        
+        // Single-renderer mode: the card scene is drawn as a second pass into the main context
+        this.singleRenderer = options.singleRenderer || false;
+        this.cardViewportElement = options.cardViewportElement || null;
+        this.cardViewportPadding = options.cardViewportPadding !== undefined ? options.cardViewportPadding : 40;
+        
+        // Offscreen mode: render into a given (Offscreen)Canvas without touching the DOM, e.g. inside a
+        // worker. The host forwards size and pause reasons; the card scene becomes a pass on that canvas.
+        this.offscreen = !!options.canvas;
+        if (this.offscreen) this.singleRenderer = true;
+        this.viewport = {
+            width: options.width || (this.offscreen ? options.canvas.width : window.innerWidth),
+            height: options.height || (this.offscreen ? options.canvas.height : window.innerHeight),
+            pixelRatio: options.pixelRatio || (this.offscreen ? 1 : window.devicePixelRatio)
+        };
+        this.options = options;
+        this.systems = [];          // Sorted by priority, lowest runs first
+        this.systemEntries = new Map(); // system -> { priority, order, removeQualityHook }
+        this.systemOrder = 0;
+        this.profiler = null;       // Gets per-system update and render timings while set (PerformanceHud)
         this.isInitialized = false;
         
-        // LookAt targets (can be modified by scroll effects)
+        // One clock for every system; elapsed only advances while the loop runs
+        this.clock = new THREE.Clock(false);
+        this.elapsedTime = 0;
+        this.maxDeltaTime = 0.1; // Clamp long frames so nothing jumps after a stall
+        
+        // Reproducible frames (e.g. screenshot diffs): a seed makes createRandom() deterministic, and a
+        // frozen clock only advances through step(dt). Both can also come from the URL (?seed=42&frozenClock).
+        const urlParams = this.offscreen ? null : new URLSearchParams(window.location.search);
+        this.seed = options.seed !== undefined ? options.seed : (urlParams && urlParams.get('seed'));
+        this.frozenClock = options.frozenClock !== undefined ? options.frozenClock : !!(urlParams && urlParams.has('frozenClock'));
+        
+        // Render loop lifecycle
+        this.isRunning = false;
+        this.animationFrameId = null;
+        this.pauseReasons = new Set(); // 'manual', 'hidden', 'offscreen', 'reduced-motion', 'context-lost'
+        this.maxFps = options.maxFps || null;
+        this.lastRenderTime = 0;
+        
+        // LookAt targets (can be modified by scroll effects). The main camera only follows its target once
+        // one is set, so pages that rotate the camera themselves keep working.
         this.cameraLookAtTarget = new THREE.Vector3(0, 0, 0);
+        this.useCameraLookAtTarget = false;
         this.cardCameraLookAtTarget = new THREE.Vector3(0, 0, 0);
         
+        // Optional post-processing stage for the ocean scene (postProcessing.js); the card is drawn after it
+        this.postProcessing = null;
+        
+        // Adaptive quality (pixel ratio, particle/kelp counts, beams); needed before the renderers exist
+        this.quality = new QualityGovernor(options.quality || {});
+        this.quality.setFrameRateCap(this.maxFps || Infinity);
+        
         this.init();
     }
 
@@ -27,10 +73,17 @@ class SceneManager {
         this.setupCameras();
         this.setupRenderers();
         this.setupResizeHandler();
+        this.setupLifecycleHandlers();
         this.isInitialized = true;
     }
 
     setupCanvases() {
+        if (this.offscreen) {
+            this.canvas = this.options.canvas;
+            this.canvasCardGizmo = null;
+            return;
+        }
+
         // Get or create main 3D canvas
         this.canvas = document.getElementById('canvas3d');
         if (!this.canvas) {
@@ -41,7 +94,11 @@ class SceneManager {
 
         // Get or create card gizmo canvas
         this.canvasCardGizmo = document.getElementById('canvasCardGizmo');
-        if (!this.canvasCardGizmo) {
+        if (this.singleRenderer) {
+            // No second context; an unused canvas in the markup would only cost a composite
+            if (this.canvasCardGizmo) this.canvasCardGizmo.remove();
+            this.canvasCardGizmo = null;
+        } else if (!this.canvasCardGizmo) {
             this.canvasCardGizmo = document.createElement('canvas');
             this.canvasCardGizmo.id = 'canvasCardGizmo';
             document.body.appendChild(this.canvasCardGizmo);
@@ -57,78 +114,452 @@ class SceneManager {
     }
 
     setupCameras() {
-        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.cardCamera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+        const aspect = this.viewport.width / this.viewport.height;
+        this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        this.cardCamera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
         
         this.camera.position.z = 5;
         this.cardCamera.position.z = 4;
     }
 
     setupRenderers() {
+        const tier = this.quality.getTier();
+
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.canvas,
             alpha: true,
-            antialias: true
+            antialias: tier.antialias
         });
 
-        this.cardRenderer = new THREE.WebGLRenderer({
-            canvas: this.canvasCardGizmo,
-            alpha: true,
-            antialias: true
-        });
-
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
+        // An OffscreenCanvas has no style to update
+        this.renderer.setSize(this.viewport.width, this.viewport.height, !this.offscreen);
         this.renderer.setClearColor(0x1f3d38, 1);
 
-        this.cardRenderer.setSize(window.innerWidth, window.innerHeight);
-        this.cardRenderer.setPixelRatio(window.devicePixelRatio);
-        this.cardRenderer.setClearColor(0x000000, 0);
+        if (!this.singleRenderer) {
+            this.cardRenderer = new THREE.WebGLRenderer({
+                canvas: this.canvasCardGizmo,
+                alpha: true,
+                antialias: tier.antialias
+            });
+
+            this.cardRenderer.setSize(this.viewport.width, this.viewport.height);
+            this.cardRenderer.setClearColor(0x000000, 0);
+        }
+
+        // Pixel ratio follows the quality tier (applied now and on every tier change)
+        this.quality.addHook((newTier) => {
+            const pixelRatio = Math.min(this.viewport.pixelRatio, newTier.maxPixelRatio);
+            this.getRenderers().forEach(renderer => renderer.setPixelRatio(pixelRatio));
+        });
+    }
+
+    // Every renderer in use (one in single-renderer mode)
+    getRenderers() {
+        return this.cardRenderer ? [this.renderer, this.cardRenderer] : [this.renderer];
     }
 
     setupResizeHandler() {
-        window.addEventListener('resize', () => {
-            this.camera.aspect = window.innerWidth / window.innerHeight;
-            this.camera.updateProjectionMatrix();
-            this.cardCamera.aspect = window.innerWidth / window.innerHeight;
-            this.cardCamera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-            this.cardRenderer.setSize(window.innerWidth, window.innerHeight);
+        // Offscreen hosts call setViewportSize() themselves
+        if (this.offscreen) return;
+
+        this.onResize = () => this.setViewportSize(window.innerWidth, window.innerHeight, window.devicePixelRatio);
+        window.addEventListener('resize', this.onResize);
+    }
+
+    // Resize cameras, renderers and systems (CSS pixels)
+    setViewportSize(width, height, pixelRatio = this.viewport.pixelRatio) {
+        this.viewport.width = width;
+        this.viewport.height = height;
+        this.viewport.pixelRatio = pixelRatio;
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.cardCamera.aspect = width / height;
+        this.cardCamera.updateProjectionMatrix();
+
+        const renderPixelRatio = Math.min(pixelRatio, this.quality.getTier().maxPixelRatio);
+        this.getRenderers().forEach(renderer => {
+            renderer.setPixelRatio(renderPixelRatio);
+            renderer.setSize(width, height, !this.offscreen);
+        });
+
+        this.systems.forEach(system => {
+            if (typeof system.resize === 'function') {
+                system.resize(width, height);
+            }
+        });
+
+        // Resizing clears the canvas, so redraw the still frame while paused
+        this.requestRender();
+    }
+
+    setupLifecycleHandlers() {
+        // Models finish loading after the still frame was drawn; draw it again with them in place. Their first
+        // frames compile shaders, which the quality governor shouldn't take for a slow device.
+        this.previousLoadingManagerOnLoad = THREE.DefaultLoadingManager.onLoad;
+        THREE.DefaultLoadingManager.onLoad = () => {
+            if (this.previousLoadingManagerOnLoad) this.previousLoadingManagerOnLoad();
+            this.quality.restartWarmup();
+            this.requestRender();
+        };
+
+        this.setupContextLossHandlers();
+
+        // Offscreen hosts watch visibility and reduced motion on the page and call pause()/resume()
+        if (this.offscreen) return;
+
+
+        // Stop rendering while the tab is in the background
+        this.onVisibilityChange = () => this.setPauseReason('hidden', document.hidden);
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        // Stop rendering while the background canvas is scrolled out of view
+        if ('IntersectionObserver' in window) {
+            this.canvasObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => this.setPauseReason('offscreen', !entry.isIntersecting));
+            });
+            this.canvasObserver.observe(this.canvas);
+        }
+
+        // Show a still ocean instead of animating when the user asks for less motion
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.onReducedMotionChange = () => this.setPauseReason('reduced-motion', this.reducedMotionQuery.matches);
+        if (this.reducedMotionQuery.addEventListener) {
+            this.reducedMotionQuery.addEventListener('change', this.onReducedMotionChange);
+        } else {
+            this.reducedMotionQuery.addListener(this.onReducedMotionChange); // Older Safari
+        }
+        this.onReducedMotionChange();
+    }
+
+    // The GPU can drop the context (driver reset, too many tabs); pause until the browser restores it
+    setupContextLossHandlers() {
+        this.lostContexts = new Set();
+        this.contextListeners = [this.canvas, this.canvasCardGizmo].filter(Boolean).map(canvas => {
+            const onLost = (event) => {
+                event.preventDefault(); // Without this the browser never restores the context
+                this.lostContexts.add(canvas);
+                this.setPauseReason('context-lost', true);
+            };
+            const onRestored = () => {
+                this.lostContexts.delete(canvas);
+                if (this.lostContexts.size === 0) this.restoreContext();
+            };
+            canvas.addEventListener('webglcontextlost', onLost, false);
+            canvas.addEventListener('webglcontextrestored', onRestored, false);
+            return { canvas: canvas, onLost: onLost, onRestored: onRestored };
+        });
+    }
+
+    // three.js has set up its GL state again by now; the systems re-upload what lived in the old context
+    restoreContext() {
+        this.renderer.setClearColor(0x1f3d38, 1);
+        if (this.cardRenderer) this.cardRenderer.setClearColor(0x000000, 0);
+
+        this.systems.forEach(system => {
+            if (typeof system.restoreContext === 'function') {
+                system.restoreContext();
+            }
         });
+
+        this.setPauseReason('context-lost', false);
+        this.requestRender(); // Still paused for another reason: at least show the frame again
     }
 
-    // Add a system to be updated in the animation loop
-    addSystem(system) {
+    // Whether this browser can create a WebGL context at all (the renderer constructor throws otherwise)
+    static isWebGLAvailable() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(window.WebGLRenderingContext && (canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Add a system to the animation loop. Every method is optional:
+     *   init(sceneManager)       - called when added; again if it is added back after dispose()
+     *   update(dt, elapsed)      - every frame; seconds since last frame / since start
+     *   resize(width, height)    - on window resize
+     *   applyQualityTier(tier)   - registered as a quality hook
+     *   restoreContext()         - after a lost WebGL context came back; re-upload textures, recompile materials
+     *   dispose()                - on removeSystem() or SceneManager.dispose()
+     * Lower priority runs first (default 0, or system.priority); equal priorities keep insertion order.
+     */
+    addSystem(system, options = {}) {
+        if (!system || this.systemEntries.has(system)) return system;
+
+        const priority = options.priority !== undefined ? options.priority : (system.priority || 0);
+        const entry = { priority: priority, order: this.systemOrder++, removeQualityHook: null };
+        this.systemEntries.set(system, entry);
+
         this.systems.push(system);
+        this.systems.sort((a, b) => {
+            const entryA = this.systemEntries.get(a);
+            const entryB = this.systemEntries.get(b);
+            return entryA.priority - entryB.priority || entryA.order - entryB.order;
+        });
+
+        if (typeof system.init === 'function') {
+            system.init(this);
+        }
+
+        if (typeof system.applyQualityTier === 'function') {
+            entry.removeQualityHook = this.quality.addHook((tier) => system.applyQualityTier(tier));
+        }
+
+        return system;
+    }
+
+    // Take a system out of the loop; pass dispose = true to also free its resources
+    removeSystem(system, dispose = false) {
+        const entry = this.systemEntries.get(system);
+        if (!entry) return;
+
+        if (entry.removeQualityHook) entry.removeQualityHook();
+        this.systemEntries.delete(system);
+        this.systems = this.systems.filter(existing => existing !== system);
+
+        if (dispose && typeof system.dispose === 'function') {
+            system.dispose();
+        }
+    }
+
+    // Register a hook that runs with the current quality tier and again whenever it changes
+    onQualityChange(hook) {
+        return this.quality.addHook(hook);
+    }
+
+    getQualityTier() {
+        return this.quality.getTier();
+    }
+
+    // Force a tier by name ('low', 'medium', 'high')
+    setQualityTier(name) {
+        this.quality.setTier(name);
+    }
+
+    // Random number source for a system: Math.random, or a stream derived from the seed and `name` so
+    // adding a system doesn't shift the numbers the others get
+    createRandom(name = '') {
+        if (this.seed === null || this.seed === undefined) return Math.random;
+        return SceneManager.createSeededRandom(`${this.seed}:${name}`);
     }
 
     // Main animation loop
-    animate() {
+    animate(time = performance.now()) {
+        if (!this.isInitialized || !this.isRunning || this.isPaused() || this.frozenClock) return;
+
+        this.animationFrameId = requestAnimationFrame((frameTime) => this.animate(frameTime));
+
+        // Throttle: skip display refreshes until the frame interval has passed
+        if (this.maxFps) {
+            const frameInterval = 1000 / this.maxFps;
+            const sinceLastRender = time - this.lastRenderTime;
+            if (sinceLastRender < frameInterval - 1) return;
+            this.lastRenderTime = time - (sinceLastRender % frameInterval);
+        }
+
+        // Measure frame time for the quality governor
+        this.quality.sample(time);
+
+        this.renderFrame();
+    }
+
+    // Update systems and draw both scenes once
+    renderFrame() {
+        if (this.frozenClock) {
+            this.advance(0);
+            return;
+        }
+
+        if (!this.clock.running) this.clock.start();
+        this.advance(Math.min(this.clock.getDelta(), this.maxDeltaTime));
+    }
+
+    // Frozen clock mode: move scene time forward by exactly dt seconds and draw the frame
+    step(dt = 1 / 60) {
         if (!this.isInitialized) return;
+        this.advance(dt);
+    }
 
-        requestAnimationFrame(() => this.animate());
+    advance(dt) {
+        this.elapsedTime += dt;
 
-        // Update all registered systems
+        // Update all registered systems (already in priority order)
+        const profiler = this.profiler;
         this.systems.forEach(system => {
-            if (system && typeof system.update === 'function') {
-                system.update();
+            if (typeof system.update !== 'function') return;
+            if (!profiler) {
+                system.update(dt, this.elapsedTime);
+                return;
             }
+            const start = performance.now();
+            system.update(dt, this.elapsedTime);
+            profiler.recordSystem(system, performance.now() - start);
         });
 
-        // Camera look-at for both scenes (skip main camera - handled by scroll effects)
-        // this.camera.lookAt(this.scene.position); // Disabled for scroll effects
+        if (!profiler) {
+            this.renderScenes();
+            return;
+        }
+        this.getRenderers().forEach(renderer => renderer.info.reset());
+        const start = performance.now();
+        this.renderScenes();
+        profiler.recordRender(performance.now() - start);
+    }
+
+    /**
+     * Time every system update and the draw calls of each frame: profiler.recordSystem(system, ms) and
+     * profiler.recordRender(ms). null stops measuring.
+     */
+    setProfiler(profiler) {
+        this.profiler = profiler;
+        // Let renderer.info add up all render calls of a frame (post-processing, card pass), not just the last
+        this.getRenderers().forEach(renderer => { renderer.info.autoReset = !profiler; });
+    }
+
+    // Draw both scenes without advancing any system (used for the still frame)
+    renderStill() {
+        this.renderScenes();
+    }
+
+    renderScenes() {
+        // Camera look-at for both scenes
+        if (this.useCameraLookAtTarget) {
+            this.camera.lookAt(this.cameraLookAtTarget);
+        }
         this.cardCamera.lookAt(this.cardScene.position);
 
-        // Render both scenes
-        this.renderer.render(this.scene, this.camera);
-        this.cardRenderer.render(this.cardScene, this.cardCamera);
+        if (this.postProcessing && this.postProcessing.isActive()) {
+            this.postProcessing.render(this.renderer, this.scene, this.camera);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+
+        if (this.singleRenderer) {
+            this.renderCardPass();
+        } else {
+            this.cardRenderer.render(this.cardScene, this.cardCamera);
+        }
+    }
+
+    // Route the ocean scene through a post-processing stage (null renders straight to the canvas again)
+    setPostProcessing(postProcessing) {
+        this.postProcessing = postProcessing;
+    }
+
+    // Second pass on the main context: clear depth so the card always draws on top of the ocean
+    renderCardPass() {
+        if (this.cardScene.children.length === 0) return; // Nothing to draw (e.g. offscreen mode)
+
+        const scissor = this.getCardScissor();
+        if (scissor && (scissor.width <= 0 || scissor.height <= 0)) return; // Card is off screen
+
+        const autoClear = this.renderer.autoClear;
+        this.renderer.autoClear = false;
+        this.renderer.clearDepth();
+
+        if (scissor) {
+            // Full-screen viewport keeps the card camera's projection; the scissor limits the pixels touched
+            this.renderer.setScissor(scissor.x, scissor.y, scissor.width, scissor.height);
+            this.renderer.setScissorTest(true);
+        }
+
+        this.renderer.render(this.cardScene, this.cardCamera);
+
+        this.renderer.setScissorTest(false);
+        this.renderer.autoClear = autoClear;
+    }
+
+    // Screen rectangle around the card element (bottom-left origin, CSS pixels), or null for full screen
+    getCardScissor() {
+        if (!this.cardViewportElement) return null;
+
+        const rect = this.cardViewportElement.getBoundingClientRect();
+        const padding = this.cardViewportPadding;
+        const left = Math.max(rect.left - padding, 0);
+        const right = Math.min(rect.right + padding, this.viewport.width);
+        const top = Math.max(rect.top - padding, 0);
+        const bottom = Math.min(rect.bottom + padding, this.viewport.height);
+
+        return {
+            x: left,
+            y: this.viewport.height - bottom,
+            width: right - left,
+            height: bottom - top
+        };
+    }
+
+    // Limit the single-renderer card pass to the area around an element (null for full screen)
+    setCardViewportElement(element, padding = this.cardViewportPadding) {
+        this.cardViewportElement = element;
+        this.cardViewportPadding = padding;
+    }
+
+    // Redraw once when the loop isn't running to do it
+    requestRender() {
+        if (!this.isInitialized || !this.isRunning || (!this.isPaused() && !this.frozenClock)) return;
+        if (this.pauseReasons.has('context-lost')) return;
+        this.renderStill();
     }
 
     // Start the animation loop
     start() {
+        this.isRunning = true;
+
+        if (this.isPaused() || this.frozenClock) {
+            // Reduced motion, hidden tab etc: one still frame of the ocean (a frozen clock waits for step())
+            this.renderFrame();
+            return;
+        }
+
         this.animate();
     }
 
+    isPaused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    // Pause the loop; every reason has to be cleared before it resumes
+    pause(reason = 'manual') {
+        this.setPauseReason(reason, true);
+    }
+
+    resume(reason = 'manual') {
+        this.setPauseReason(reason, false);
+    }
+
+    setPauseReason(reason, active) {
+        const wasPaused = this.isPaused();
+
+        if (active) {
+            this.pauseReasons.add(reason);
+        } else {
+            this.pauseReasons.delete(reason);
+        }
+
+        if (!this.isRunning || wasPaused === this.isPaused()) return;
+
+        if (this.isPaused()) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        } else {
+            // Don't count the paused time as one long frame
+            this.quality.resetTiming();
+            this.clock.getDelta();
+            this.lastRenderTime = 0;
+            this.animate();
+        }
+    }
+
+    // Cap the frame rate (e.g. 30 on low-end devices); null or 0 removes the cap
+    setMaxFps(fps) {
+        this.maxFps = fps || null;
+        this.lastRenderTime = 0;
+        this.quality.setFrameRateCap(this.maxFps || Infinity);
+    }
+
     // Get scene objects for other systems
     getScene() {
         return this.scene;
@@ -142,13 +573,92 @@ class SceneManager {
         return this.camera;
     }
 
+    getRenderer() {
+        return this.renderer;
+    }
+
     getCardCamera() {
         return this.cardCamera;
     }
 
-    // Update camera lookAt target (for scroll effects)
+    // Update camera lookAt target (for scroll effects); the render loop aims the camera at it from now on
     setCameraLookAtTarget(x, y, z) {
         this.cameraLookAtTarget.set(x, y, z);
+        this.useCameraLookAtTarget = true;
+    }
+
+    // Hand the camera's rotation back to whoever sets it directly
+    clearCameraLookAtTarget() {
+        this.useCameraLookAtTarget = false;
+    }
+
+    // Seeded PRNG (mulberry32) with the same interface as Math.random; the seed may be any string or number
+    static createSeededRandom(seed) {
+        // FNV-1a hash of the seed's text
+        let state = 2166136261;
+        const text = String(seed);
+        for (let i = 0; i < text.length; i++) {
+            state = Math.imul(state ^ text.charCodeAt(i), 16777619);
+        }
+
+        return function random() {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Free geometries, materials and textures below an object (shared ones are safe to dispose twice)
+    static disposeObject(root) {
+        root.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (!child.material) return;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                Object.keys(material).forEach(key => {
+                    const value = material[key];
+                    if (value && value.isTexture) value.dispose();
+                });
+                material.dispose();
+            });
+        });
+    }
+
+    // Stop the loop, dispose every system and release the GPU resources (for swapping scenes between pages)
+    dispose() {
+        this.isRunning = false;
+        this.isInitialized = false;
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+
+        // Systems tear down in reverse order so dependents go before what they depend on
+        this.systems.slice().reverse().forEach(system => this.removeSystem(system, true));
+
+        if (!this.offscreen) {
+            window.removeEventListener('resize', this.onResize);
+            document.removeEventListener('visibilitychange', this.onVisibilityChange);
+            if (this.canvasObserver) this.canvasObserver.disconnect();
+            if (this.reducedMotionQuery.removeEventListener) {
+                this.reducedMotionQuery.removeEventListener('change', this.onReducedMotionChange);
+            } else {
+                this.reducedMotionQuery.removeListener(this.onReducedMotionChange);
+            }
+        }
+        THREE.DefaultLoadingManager.onLoad = this.previousLoadingManagerOnLoad;
+        this.contextListeners.forEach(({ canvas, onLost, onRestored }) => {
+            canvas.removeEventListener('webglcontextlost', onLost, false);
+            canvas.removeEventListener('webglcontextrestored', onRestored, false);
+        });
+
+        // Anything the systems left behind
+        SceneManager.disposeObject(this.scene);
+        SceneManager.disposeObject(this.cardScene);
+        this.scene.clear();
+        this.cardScene.clear();
+
+        this.getRenderers().forEach(renderer => renderer.dispose());
     }
 }
 
@@ -0,0 +1,130 @@
+/**
+ * Scene Theme
+ * Keeps the 3D scene in step with the page's CSS colours. Watches the root element's inline style and
+ * class, the body's class (e.g. a dark-mode toggle) and the colour-scheme media query, and calls
+ * updateColors() on every scene system whose declared CSS variables changed value. Systems declare them
+ * as a static THEME_VARIABLES list on their class (or a themeVariables property on the instance).
+ */
+
+class SceneTheme {
+    constructor(options = {}) {
+        this.root = options.root || document.documentElement; // Where the variables are read from
+        this.targets = new Map(); // Extra targets outside the loop: target -> variables
+        this.values = {};         // CSS variable -> last value seen
+        this.sceneManager = null;
+        this.observer = null;
+        this.schemeQuery = null;
+        this.onSchemeChange = () => this.refresh();
+    }
+
+    // Variables a system or target reads in its updateColors()
+    static getVariables(target) {
+        return target.themeVariables || (target.constructor && target.constructor.THEME_VARIABLES) || [];
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.refresh(); // Remember the starting values; the systems read them when they were built
+        this.observe();
+    }
+
+    observe() {
+        if (this.observer) return;
+
+        this.observer = new MutationObserver(() => this.refresh());
+        this.observer.observe(this.root, { attributes: true, attributeFilter: ['style', 'class'] });
+        if (document.body && document.body !== this.root) {
+            this.observer.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+        }
+
+        // Stylesheets with prefers-color-scheme rules switch without touching any attribute
+        this.schemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        if (this.schemeQuery.addEventListener) {
+            this.schemeQuery.addEventListener('change', this.onSchemeChange);
+        } else {
+            this.schemeQuery.addListener(this.onSchemeChange); // Older Safari
+        }
+    }
+
+    /**
+     * Recolour something that isn't a system in the loop (e.g. an OceanWorkerHost); it needs updateColors()
+     * and takes its variables from getVariables() unless given
+     */
+    register(target, variables = SceneTheme.getVariables(target)) {
+        this.targets.set(target, variables);
+        this.refresh();
+        this.observe(); // Also works without a SceneManager (worker mode)
+        return target;
+    }
+
+    unregister(target) {
+        this.targets.delete(target);
+    }
+
+    // Systems in the loop that declare variables, plus the registered targets
+    getEntries() {
+        const entries = [];
+        if (this.sceneManager) {
+            this.sceneManager.systems.forEach(system => {
+                const variables = SceneTheme.getVariables(system);
+                if (variables.length > 0 && typeof system.updateColors === 'function') {
+                    entries.push({ target: system, variables: variables });
+                }
+            });
+        }
+        this.targets.forEach((variables, target) => entries.push({ target: target, variables: variables }));
+        return entries;
+    }
+
+    // Re-read every declared variable and update the targets whose variables changed; returns those targets
+    refresh() {
+        const style = getComputedStyle(this.root);
+        const entries = this.getEntries();
+        const changed = new Set();
+        const checked = new Set();
+
+        entries.forEach(entry => {
+            entry.variables.forEach(name => {
+                if (checked.has(name)) return;
+                checked.add(name);
+
+                const value = style.getPropertyValue(name).trim();
+                // A variable seen for the first time isn't a change: its system has just read it
+                if (this.values[name] !== undefined && this.values[name] !== value) changed.add(name);
+                this.values[name] = value;
+            });
+        });
+        if (changed.size === 0) return [];
+
+        const updated = entries
+            .filter(entry => entry.variables.some(name => changed.has(name)))
+            .map(entry => entry.target);
+        updated.forEach(target => target.updateColors());
+
+        // Paused and reduced-motion pages show the new colours too
+        if (this.sceneManager) this.sceneManager.requestRender();
+        return updated;
+    }
+
+    // SceneManager system hook
+    dispose() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.schemeQuery) {
+            if (this.schemeQuery.removeEventListener) {
+                this.schemeQuery.removeEventListener('change', this.onSchemeChange);
+            } else {
+                this.schemeQuery.removeListener(this.onSchemeChange);
+            }
+            this.schemeQuery = null;
+        }
+        this.targets.clear();
+        this.sceneManager = null;
+    }
+}
+
+// Export for use in other files
+window.SceneTheme = SceneTheme;
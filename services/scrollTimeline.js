@@ -0,0 +1,260 @@
+/**
+ * Scroll Timeline
+ * Keyframed camera "dive" driven by the scroll position, with keyframes pinned to DOM anchors
+ *
+ * Keyframes are listed in scroll order; each one only needs the fields it changes. Fields no keyframe
+ * sets are left to the rest of the scene (OceanBackground's own depth, CameraMovement's look target).
+ *   anchor / at:  CSS selector reached when its top hits the viewport top (shifted by `offset`, a
+ *                 fraction of the viewport height), or `at` = 0-1 of the scrollable height
+ *   position:     camera position [x, y, z] (the base CameraMovement adds its parallax to)
+ *   lookAt:       camera target [x, y, z], passed to SceneManager.setCameraLookAtTarget
+ *   depth:        0-1 fog colour / darkening progress (OceanBackground.updateScrollDepth)
+ *   fogDensity:   FogExp2 density
+ *   lights:       { ambient, directional, cursor, cursorAmbient } multipliers on the depth-dimmed
+ *                 intensities (1 = unchanged)
+ *   ease:         easing into this keyframe (see ScrollTimeline.EASINGS, default 'easeInOutCubic')
+ */
+
+class ScrollTimeline {
+    constructor(options = {}) {
+        this.oceanBackground = options.oceanBackground || null;
+        this.cameraMovement = options.cameraMovement || null;
+        this.keyframes = options.keyframes || [];
+        this.smoothing = options.smoothing !== undefined ? options.smoothing : 6; // 1/s; 0 follows the scrollbar exactly
+
+        // After OceanBackground (it resets the cursor lights every frame), before CameraMovement (it eases to our base)
+        this.priority = 5;
+
+        this.scrollY = 0;
+        this.currentScrollY = 0;
+        this.resolvedKeyframes = [];
+        this.missingAnchors = new Set();
+        this.appliedDepth = null;
+        this.animated = ScrollTimeline.getAnimated([]);
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.camera = sceneManager.getCamera();
+        this.baseState = this.captureBaseState();
+
+        this.onScroll = () => {
+            this.scrollY = window.pageYOffset || document.documentElement.scrollTop;
+
+            // A paused loop (reduced motion, mobile scroll pause) still shows the right still frame
+            if (this.sceneManager.isPaused()) {
+                this.currentScrollY = this.scrollY;
+                this.apply(this.sample(this.currentScrollY));
+                this.sceneManager.requestRender();
+            }
+        };
+        window.addEventListener('scroll', this.onScroll, { passive: true });
+
+        // Anchors move when the viewport or the content (e.g. the CV rendering late) changes size
+        this.onLayoutChange = () => this.measure();
+        window.addEventListener('resize', this.onLayoutChange);
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(this.onLayoutChange);
+            this.resizeObserver.observe(document.body);
+        }
+
+        this.measure();
+        this.onScroll();
+        this.currentScrollY = this.scrollY;
+    }
+
+    // What the scene looks like before the first keyframe
+    captureBaseState() {
+        const ocean = this.oceanBackground;
+        return {
+            position: this.camera.position.toArray(),
+            lookAt: null, // Taken from the first keyframe with a lookAt in measure()
+            depth: ocean ? ocean.scrollDepth : 0,
+            fogDensity: ocean && ocean.scene.fog ? ocean.scene.fog.density : 0,
+            lights: {}
+        };
+    }
+
+    // Which fields any keyframe sets; apply() leaves the others alone
+    static getAnimated(keyframes) {
+        const lights = new Set();
+        keyframes.forEach(keyframe => Object.keys(keyframe.lights || {}).forEach(name => lights.add(name)));
+        const has = (field) => keyframes.some(keyframe => keyframe[field] !== undefined);
+
+        return {
+            position: has('position'),
+            lookAt: has('lookAt'),
+            depth: has('depth'),
+            fogDensity: has('fogDensity'),
+            lights: Array.from(lights)
+        };
+    }
+
+    setKeyframes(keyframes) {
+        this.keyframes = keyframes;
+        this.measure();
+    }
+
+    // Resolve anchors to scroll offsets; every keyframe carries the full state so sampling is a plain lerp
+    measure() {
+        const maxScroll = Math.max(document.documentElement.scrollHeight - window.innerHeight, 0);
+        this.animated = ScrollTimeline.getAnimated(this.keyframes);
+
+        // Hold the first target until then, rather than turning towards the origin
+        const firstLookAt = this.keyframes.find(keyframe => keyframe.lookAt);
+        this.baseState.lookAt = firstLookAt ? firstLookAt.lookAt : null;
+        let state = this.baseState;
+
+        const resolved = [];
+        this.keyframes.forEach(keyframe => {
+            const scroll = this.resolveScrollOffset(keyframe, maxScroll);
+            if (scroll === null) return;
+
+            state = ScrollTimeline.mergeState(state, keyframe);
+            resolved.push({
+                scroll: scroll,
+                ease: ScrollTimeline.EASINGS[keyframe.ease || 'easeInOutCubic'] || ScrollTimeline.EASINGS.linear,
+                state: state
+            });
+        });
+        resolved.sort((a, b) => a.scroll - b.scroll);
+
+        // Until the first keyframe the page keeps its original look
+        if (resolved.length > 0 && resolved[0].scroll > 0) {
+            resolved.unshift({ scroll: 0, ease: ScrollTimeline.EASINGS.linear, state: this.baseState });
+        }
+
+        this.resolvedKeyframes = resolved;
+    }
+
+    resolveScrollOffset(keyframe, maxScroll) {
+        if (keyframe.at !== undefined) {
+            return keyframe.at * maxScroll;
+        }
+
+        const element = document.querySelector(keyframe.anchor);
+        if (!element) {
+            if (!this.missingAnchors.has(keyframe.anchor)) {
+                this.missingAnchors.add(keyframe.anchor);
+                console.warn(`ScrollTimeline: anchor "${keyframe.anchor}" not found, keyframe skipped`);
+            }
+            return null;
+        }
+
+        const viewportOffset = (keyframe.offset || 0) * window.innerHeight;
+        const top = element.getBoundingClientRect().top + (window.pageYOffset || 0) - viewportOffset;
+        return Math.min(Math.max(top, 0), maxScroll);
+    }
+
+    static mergeState(state, keyframe) {
+        return {
+            position: keyframe.position || state.position,
+            lookAt: keyframe.lookAt || state.lookAt,
+            depth: keyframe.depth !== undefined ? keyframe.depth : state.depth,
+            fogDensity: keyframe.fogDensity !== undefined ? keyframe.fogDensity : state.fogDensity,
+            lights: Object.assign({}, state.lights, keyframe.lights)
+        };
+    }
+
+    // Interpolated state at a scroll offset (px)
+    sample(scroll) {
+        const keyframes = this.resolvedKeyframes;
+        if (keyframes.length === 0) return null;
+        if (scroll <= keyframes[0].scroll) return keyframes[0].state;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const to = keyframes[i];
+            if (scroll > to.scroll) continue;
+
+            const from = keyframes[i - 1];
+            const length = to.scroll - from.scroll;
+            const t = length > 0 ? to.ease((scroll - from.scroll) / length) : 1;
+            return ScrollTimeline.lerpState(from.state, to.state, t);
+        }
+
+        return keyframes[keyframes.length - 1].state;
+    }
+
+    static lerpState(a, b, t) {
+        const lerp = (from, to) => from + (to - from) * t;
+        const lights = {};
+        Object.keys(Object.assign({}, a.lights, b.lights)).forEach(key => {
+            const from = a.lights[key] !== undefined ? a.lights[key] : 1;
+            const to = b.lights[key] !== undefined ? b.lights[key] : 1;
+            lights[key] = lerp(from, to);
+        });
+
+        return {
+            position: a.position.map((value, index) => lerp(value, b.position[index])),
+            lookAt: a.lookAt && b.lookAt ? a.lookAt.map((value, index) => lerp(value, b.lookAt[index])) : b.lookAt,
+            depth: lerp(a.depth, b.depth),
+            fogDensity: lerp(a.fogDensity, b.fogDensity),
+            lights: lights
+        };
+    }
+
+    apply(state) {
+        if (!state) return;
+        const animated = this.animated;
+
+        if (animated.position) {
+            const [x, y, z] = state.position;
+            if (this.cameraMovement) {
+                // CameraMovement eases x/y towards this base and adds the mouse parallax
+                this.cameraMovement.updateCameraBasePosition(this.camera, x, y, z);
+            } else {
+                this.camera.position.x = x;
+                this.camera.position.y = y;
+            }
+            this.camera.position.z = z; // CameraMovement never touches z
+        }
+        if (animated.lookAt) {
+            this.sceneManager.setCameraLookAtTarget(state.lookAt[0], state.lookAt[1], state.lookAt[2]);
+        }
+
+        const ocean = this.oceanBackground;
+        if (!ocean) return;
+
+        // Fog colour and background only need recomputing when the depth moves
+        if (animated.depth && state.depth !== this.appliedDepth) {
+            ocean.updateScrollDepth(state.depth);
+            this.appliedDepth = state.depth;
+        }
+        if (animated.fogDensity && ocean.scene.fog) ocean.scene.fog.density = state.fogDensity;
+
+        // Scale what updateScrollDepth dimmed to, so the lights still darken with depth
+        animated.lights.forEach(name => {
+            const light = ocean.getLight(name);
+            if (!light) return;
+            const scale = state.lights[name] !== undefined ? state.lights[name] : 1;
+            light.intensity = ocean.getDepthLightIntensity(name) * scale;
+        });
+    }
+
+    update(dt) {
+        // Ease towards the scrollbar so wheel steps glide instead of jumping
+        const follow = this.smoothing > 0 ? 1 - Math.exp(-this.smoothing * dt) : 1;
+        this.currentScrollY += (this.scrollY - this.currentScrollY) * follow;
+
+        this.apply(this.sample(this.currentScrollY));
+    }
+
+    dispose() {
+        window.removeEventListener('scroll', this.onScroll);
+        window.removeEventListener('resize', this.onLayoutChange);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.animated.lookAt) this.sceneManager.clearCameraLookAtTarget();
+    }
+}
+
+// Easing curves for t in 0-1
+ScrollTimeline.EASINGS = {
+    linear: (t) => t,
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutQuad: (t) => 1 - (1 - t) * (1 - t)
+};
+
+// Export for use in other files
+window.ScrollTimeline = ScrollTimeline;
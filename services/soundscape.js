@@ -0,0 +1,410 @@
+/**
+ * Soundscape
+ * Opt-in underwater audio on the Web Audio API: an ambient ocean bed that gets more muffled with depth,
+ * a positional hum from the submarine, a click on every spotlight flicker and soft bubble sounds.
+ * Off by default; the visitor's choice from the sound toggle is remembered, and audio only starts after
+ * a user gesture. Sounds are synthesized unless files are given, which load through AssetLoader.
+ */
+
+class Soundscape {
+    constructor(options = {}) {
+        this.oceanBackground = options.oceanBackground || null; // scrollDepth drives the muffling
+        this.submarine = options.submarine || null;
+        this.bubbles = options.bubbles || null;
+        this.random = options.random || Math.random;
+
+        this.sounds = Object.assign({}, Soundscape.SOUNDS, options.sounds);   // Optional file URLs per sound
+        this.volumes = Object.assign({}, Soundscape.VOLUMES, options.volumes);
+        this.volume = options.volume !== undefined ? options.volume : 0.6;   // Master volume
+        // Low-pass cutoff (Hz) of the ocean bed at the surface and at full depth
+        this.surfaceCutoff = options.surfaceCutoff || 1400;
+        this.deepCutoff = options.deepCutoff || 220;
+        this.storageKey = options.storageKey || 'aquarex-sound-enabled';
+
+        this.enabled = Soundscape.loadEnabled(this.storageKey);
+        this.isStarted = false;
+        this.listener = null;
+        this.context = null;
+        this.buffers = {};
+        this.toggleButton = null;
+        this.suspendTimeout = null; // Pending suspend after a fade-out
+
+        // Last seen submarine and bubble state; sounds play on changes
+        this.lastSpotlightsOn = null;
+        this.lastFlickerCounter = 0;
+        this.lastBubbleCount = null;
+        this.bubbleCarry = 0;
+        this.bubbleCooldown = 0;
+
+        this.showToggle = options.toggle !== false;
+        this.onGesture = () => this.start();
+        this.onVisibilityChange = () => this.handleVisibilityChange();
+    }
+
+    static loadEnabled(storageKey) {
+        try {
+            return localStorage.getItem(storageKey) === 'true';
+        } catch (error) {
+            return false; // Storage blocked (private mode, sandboxed iframe)
+        }
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.camera = sceneManager.getCamera();
+
+        if (this.showToggle) this.createToggle();
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        // Switched on during an earlier visit: browsers only allow audio after the visitor interacts
+        if (this.enabled) this.waitForGesture();
+    }
+
+    waitForGesture() {
+        ['pointerdown', 'keydown'].forEach(type => {
+            window.addEventListener(type, this.onGesture, { once: true, passive: true });
+        });
+    }
+
+    // Switch the sound on or off and remember the choice
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        try {
+            localStorage.setItem(this.storageKey, String(enabled));
+        } catch (error) {
+            // Not remembered, but still switched for this page
+        }
+        this.updateToggle();
+
+        if (enabled) {
+            this.start();
+        } else {
+            this.fadeOut();
+        }
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+    }
+
+    // Build the audio graph on first use and fade in; must run from a user gesture
+    start() {
+        ['pointerdown', 'keydown'].forEach(type => window.removeEventListener(type, this.onGesture));
+        if (!this.enabled || !this.camera) return;
+
+        // A quick off/on must not let the last fade-out suspend the context again
+        clearTimeout(this.suspendTimeout);
+        if (!this.isStarted) this.createGraph();
+        this.context.resume();
+        this.listener.gain.gain.setTargetAtTime(this.volume, this.context.currentTime, 0.5);
+    }
+
+    fadeOut() {
+        if (!this.isStarted) return;
+
+        this.listener.gain.gain.setTargetAtTime(0, this.context.currentTime, 0.15);
+        // Suspend once faded so the graph costs nothing while muted
+        clearTimeout(this.suspendTimeout);
+        this.suspendTimeout = setTimeout(() => {
+            this.suspendTimeout = null;
+            if (!this.enabled) this.context.suspend();
+        }, 800);
+    }
+
+    createGraph() {
+        this.listener = new THREE.AudioListener();
+        this.context = this.listener.context;
+        this.listener.gain.gain.value = 0;
+        this.camera.add(this.listener);
+
+        const context = this.context;
+        this.buffers = {
+            bed: Soundscape.createBedBuffer(context, this.random),
+            hum: Soundscape.createHumBuffer(context),
+            click: Soundscape.createClickBuffer(context, this.random),
+            bubble: Soundscape.createBubbleBuffer(context)
+        };
+
+        // Ocean bed through a low-pass filter that closes with depth
+        this.bed = new THREE.Audio(this.listener);
+        this.bedFilter = context.createBiquadFilter();
+        this.bedFilter.type = 'lowpass';
+        this.bedFilter.frequency.value = this.getCutoff();
+        this.bed.setFilter(this.bedFilter);
+        this.bed.setLoop(true);
+        this.bed.setVolume(this.volumes.bed);
+
+        // Bubble blips are one-shots through a plain bus
+        this.bubbleBus = new THREE.Audio(this.listener);
+        this.bubbleBus.setVolume(this.volumes.bubble);
+
+        // Hum and flicker clicks come from the submarine; the clicks go through a positional bus
+        if (this.submarine) {
+            this.hum = new THREE.PositionalAudio(this.listener);
+            this.hum.setRefDistance(3);
+            this.hum.setLoop(true);
+            this.hum.setVolume(this.volumes.hum);
+            this.submarine.gizmoGroup.add(this.hum);
+
+            this.clickBus = new THREE.PositionalAudio(this.listener);
+            this.clickBus.setRefDistance(3);
+            this.clickBus.hasPlaybackControl = false; // Never "plays" itself; keeps its panner following the sub
+            this.clickBus.setVolume(this.volumes.click);
+            this.submarine.gizmoGroup.add(this.clickBus);
+        }
+
+        this.isStarted = true;
+        this.playLoop(this.bed, this.buffers.bed);
+        if (this.hum) this.playLoop(this.hum, this.buffers.hum);
+
+        this.loadSoundFiles();
+    }
+
+    // Files replace the synthesized sounds as they arrive; a failed file keeps the synthesized one
+    loadSoundFiles() {
+        if (typeof AssetLoader === 'undefined') return;
+
+        Object.keys(this.sounds).forEach(name => {
+            const url = this.sounds[name];
+            if (!url) return;
+            AssetLoader.shared.loadAudio(url, (buffer) => {
+                this.buffers[name] = buffer;
+                if (name === 'bed') this.playLoop(this.bed, buffer);
+                if (name === 'hum' && this.hum) this.playLoop(this.hum, buffer);
+            });
+        });
+    }
+
+    playLoop(audio, buffer) {
+        if (audio.isPlaying) audio.stop();
+        audio.setBuffer(buffer);
+        audio.play();
+    }
+
+    // Overlapping short sounds straight into a bus (THREE.Audio plays one buffer at a time)
+    playOneShot(buffer, output, volume = 1, rate = 1) {
+        const source = this.context.createBufferSource();
+        const gain = this.context.createGain();
+        source.buffer = buffer;
+        source.playbackRate.value = rate;
+        gain.gain.value = volume;
+        source.connect(gain);
+        gain.connect(output);
+        source.onended = () => gain.disconnect();
+        source.start();
+    }
+
+    // Exponential between the surface and deep cutoffs, so each step of depth sounds equally darker
+    getCutoff() {
+        const depth = this.oceanBackground ? this.oceanBackground.scrollDepth : 0;
+        return this.surfaceCutoff * Math.pow(this.deepCutoff / this.surfaceCutoff, depth);
+    }
+
+    update(dt) {
+        if (!this.isStarted) return;
+
+        const audible = this.enabled && this.context.state === 'running';
+        if (audible) this.bedFilter.frequency.setTargetAtTime(this.getCutoff(), this.context.currentTime, 0.3);
+
+        // Follow state even while muted, so unmuting doesn't replay a backlog
+        this.updateSubmarine(audible);
+        this.updateBubbles(dt, audible);
+    }
+
+    // A click for every on/off step of a flicker, a louder one when the lights are switched
+    updateSubmarine(audible) {
+        const submarine = this.submarine;
+        if (!submarine || !this.clickBus) return;
+
+        const switched = this.lastSpotlightsOn !== null && submarine.spotlightsOn !== this.lastSpotlightsOn;
+        const flickered = submarine.isFlickering && submarine.flickerCounter !== this.lastFlickerCounter;
+        this.lastSpotlightsOn = submarine.spotlightsOn;
+        this.lastFlickerCounter = submarine.flickerCounter;
+
+        // Quiet while the submarine is hidden (e.g. by a scroll timeline)
+        const humVolume = submarine.gizmoGroup.visible ? this.volumes.hum : 0;
+        this.hum.gain.gain.setTargetAtTime(humVolume, this.context.currentTime, 0.2);
+
+        if (!audible) return;
+        if (switched) {
+            this.playOneShot(this.buffers.click, this.clickBus.getOutput(), 1, 0.8);
+        } else if (flickered) {
+            this.playOneShot(this.buffers.click, this.clickBus.getOutput(), 0.6, 0.9 + this.random() * 0.3);
+        }
+    }
+
+    // A few soft blips per second at most, so a scroll burst doesn't turn into a hiss
+    updateBubbles(dt, audible) {
+        const bubbles = this.bubbles;
+        if (!bubbles) return;
+
+        if (this.lastBubbleCount === null) this.lastBubbleCount = bubbles.emittedCount;
+        this.bubbleCarry = Math.min(this.bubbleCarry + bubbles.emittedCount - this.lastBubbleCount, 4);
+        this.lastBubbleCount = bubbles.emittedCount;
+        this.bubbleCooldown -= dt;
+
+        if (this.bubbleCarry < 1 || this.bubbleCooldown > 0) return;
+        this.bubbleCarry -= 1;
+        this.bubbleCooldown = 0.08 + this.random() * 0.25;
+
+        if (audible) {
+            this.playOneShot(this.buffers.bubble, this.bubbleBus.getOutput(), 0.5 + this.random() * 0.5, 0.7 + this.random() * 0.8);
+        }
+    }
+
+    // SceneManager pauses the loop for hidden tabs; the audio has to stop by itself
+    handleVisibilityChange() {
+        if (!this.isStarted) return;
+        if (document.hidden) {
+            this.context.suspend();
+        } else if (this.enabled) {
+            this.context.resume();
+        }
+    }
+
+    createToggle() {
+        Soundscape.injectToggleStyles();
+
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'sound-toggle';
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        document.body.appendChild(this.toggleButton);
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        if (!this.toggleButton) return;
+        this.toggleButton.textContent = this.enabled ? '🔊' : '🔇';
+        this.toggleButton.setAttribute('aria-pressed', String(this.enabled));
+        this.toggleButton.setAttribute('aria-label', this.enabled ? 'Mute ocean sounds' : 'Play ocean sounds');
+        this.toggleButton.title = this.toggleButton.getAttribute('aria-label');
+    }
+
+    static injectToggleStyles() {
+        if (document.getElementById('sound-toggle-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'sound-toggle-styles';
+        style.textContent = `
+            .sound-toggle {
+                position: fixed;
+                right: 20px;
+                bottom: 20px;
+                width: 40px;
+                height: 40px;
+                border-radius: 50%;
+                border: 1px solid var(--primary-color, #f0d060);
+                background: rgba(0, 0, 0, 0.4);
+                color: var(--primary-color, #f0d060);
+                font-size: 18px;
+                line-height: 1;
+                cursor: pointer;
+                z-index: 1000;
+                opacity: 0.6;
+                transition: opacity 0.2s ease;
+            }
+            .sound-toggle:hover,
+            .sound-toggle:focus-visible {
+                opacity: 1;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Mono buffer filled by sample(t, i) for `seconds`; the synthesized sounds below are built with it
+     */
+    static createBuffer(context, seconds, sample) {
+        const length = Math.floor(context.sampleRate * seconds);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = sample(i / context.sampleRate, i);
+        }
+        return buffer;
+    }
+
+    // Brown noise with a slow swell; the end is crossfaded into the start so the loop has no seam
+    static createBedBuffer(context, random = Math.random) {
+        const seconds = 8;
+        const fade = Math.floor(context.sampleRate * 0.5);
+        let brown = 0;
+        const noise = Soundscape.createBuffer(context, seconds + fade / context.sampleRate, (t) => {
+            brown = (brown + 0.02 * (random() * 2 - 1)) / 1.02;
+            const swell = 0.75 + 0.25 * Math.sin(t * Math.PI * 2 / seconds);
+            return brown * 3.5 * swell;
+        }).getChannelData(0);
+
+        const length = noise.length - fade;
+        return Soundscape.createBuffer(context, length / context.sampleRate, (t, i) => {
+            if (i >= fade) return noise[i];
+            const mix = i / fade;
+            return noise[i] * mix + noise[length + i] * (1 - mix);
+        });
+    }
+
+    // Low engine drone; 2 s holds whole cycles of every partial, so it loops cleanly
+    static createHumBuffer(context) {
+        return Soundscape.createBuffer(context, 2, (t) => {
+            const throb = 0.8 + 0.2 * Math.sin(t * Math.PI); // One throb per loop
+            return throb * (
+                0.5 * Math.sin(t * Math.PI * 2 * 55) +
+                0.25 * Math.sin(t * Math.PI * 2 * 110) +
+                0.1 * Math.sin(t * Math.PI * 2 * 165)
+            );
+        });
+    }
+
+    // Short relay tick: a noise burst with a faint metallic ping
+    static createClickBuffer(context, random = Math.random) {
+        return Soundscape.createBuffer(context, 0.05, (t) => {
+            const envelope = Math.exp(-t * 160);
+            return envelope * (0.6 * (random() * 2 - 1) + 0.3 * Math.sin(t * Math.PI * 2 * 2400));
+        });
+    }
+
+    // Rising "bloop": a sine sweeping up an octave and a half with a quick attack and decay
+    static createBubbleBuffer(context) {
+        let phase = 0;
+        return Soundscape.createBuffer(context, 0.12, (t) => {
+            const frequency = 400 * Math.pow(3, t / 0.12);
+            phase += Math.PI * 2 * frequency / context.sampleRate;
+            const envelope = Math.min(t / 0.01, 1) * Math.exp(-t * 30);
+            return envelope * Math.sin(phase) * 0.8;
+        });
+    }
+
+    // SceneManager system hook
+    dispose() {
+        ['pointerdown', 'keydown'].forEach(type => window.removeEventListener(type, this.onGesture));
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        clearTimeout(this.suspendTimeout);
+        this.suspendTimeout = null;
+
+        if (this.toggleButton) {
+            this.toggleButton.remove();
+            this.toggleButton = null;
+        }
+
+        if (!this.isStarted) return;
+        if (this.bed.isPlaying) this.bed.stop();
+        if (this.hum) {
+            if (this.hum.isPlaying) this.hum.stop();
+            this.submarine.gizmoGroup.remove(this.hum, this.clickBus);
+        }
+        this.camera.remove(this.listener);
+        // THREE shares one AudioContext per page, so it is suspended rather than closed
+        this.context.suspend();
+        this.isStarted = false;
+    }
+}
+
+// Optional audio files per sound (null: synthesized)
+Soundscape.SOUNDS = { bed: null, hum: null, click: null, bubble: null };
+
+// Volume of each sound under the master volume
+Soundscape.VOLUMES = { bed: 0.5, hum: 0.35, click: 0.5, bubble: 0.15 };
+
+// Export for use in other files
+window.Soundscape = Soundscape;
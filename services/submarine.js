@@ -4,19 +4,38 @@
  */
 
 class Submarine {
-    constructor(scene, camera) {
+    constructor(scene, camera, options = {}) {
         this.scene = scene;
         this.camera = camera;
         this.gizmoGroup = new THREE.Group();
         this.spotlights = [];
         this.spotlightBeams = [];
+        this.hullMeshes = [];      // The model's own meshes, without lights and beams (see getHullBox)
+        this.hullMaterials = [];   // Recoloured by updateColors()
+        this.lensMaterials = [];
+        this.showSpotlightBeams = true; // Toggled by the quality governor
         this.mouseX = 0;
         this.mouseY = 0;
-        this.clock = new THREE.Clock();
+        // Rest position the mouse parallax offsets from (presets can move it)
+        this.basePosition = new THREE.Vector3(-12, 0, -15);
         
-        // Animation variables for spotlights
+        // Movement mode (see submarineBehaviours.js); null keeps the built-in rest + parallax
+        this.behaviour = null;
+        this.heading = null;          // Current yaw, eased towards the behaviour's facing
+        this.spotlightTarget = null;  // Object3D or Vector3 the spotlights follow (null = straight ahead)
+        this.aimPoint = new THREE.Vector3();
+        this.aimDirection = new THREE.Vector3();
+        
+        // Animation variables for spotlights (flicker timing draws from this.random)
+        this.random = options.random || Math.random;
+        this.spotlightsOn = true;
+        this.SPOTLIGHT_INTENSITY = 1.5;
+        this.beamOpacity = 0.18;
+        this.elapsedTime = 0;
         this.lastFlickerTime = 0;
-        this.nextFlickerInterval = 10000 + Math.random() * 10000; // 10-20 seconds
+        this.flickerIntervalMin = 10000;   // ms between flicker sequences: min + random * range
+        this.flickerIntervalRange = 10000;
+        this.nextFlickerInterval = this.flickerIntervalMin + this.random() * this.flickerIntervalRange;
         this.FLICKER_DURATION = 100;
         this.isFlickering = false;
         this.flickerCounter = 0;
@@ -25,41 +44,94 @@ class Submarine {
         this.currentFlickerStateDuration = 0;
         this.maxFlickersInSequence = 0;
         
-        this.init();
+        this.isInitialized = false;
+        if (options.behaviour) this.setBehaviour(options.behaviour);
     }
 
     init() {
+        if (this.isInitialized) return;
+        this.isInitialized = true;
         this.setupGroup();
         this.loadModel();
         this.scene.add(this.gizmoGroup);
     }
 
+    // Switch movement mode at runtime: a behaviour instance, name or config (null = back to rest)
+    setBehaviour(behaviour) {
+        this.behaviour = behaviour ? SubmarineBehaviours.create(behaviour) : null;
+    }
+
+    // Switch the spotlights on or off; switching on makes them sputter back to life
+    setSpotlightsEnabled(enabled) {
+        if (enabled === this.spotlightsOn) return;
+        this.spotlightsOn = enabled;
+
+        if (enabled) {
+            this.triggerFlicker();
+        } else {
+            this.isFlickering = false;
+            this.setSpotlightLevel(0, 0);
+        }
+    }
+
+    toggleSpotlights() {
+        this.setSpotlightsEnabled(!this.spotlightsOn);
+    }
+
+    // Start a flicker sequence now instead of waiting for the random interval
+    triggerFlicker() {
+        if (!this.spotlightsOn) return;
+        this.startFlicker(this.elapsedTime * 1000);
+    }
+
+    // Same intensity and beam opacity on every spotlight
+    setSpotlightLevel(intensity, beamOpacity) {
+        this.spotlights.forEach((spotlight, index) => {
+            spotlight.intensity = intensity;
+            this.spotlightBeams[index].material.opacity = beamOpacity;
+        });
+    }
+
+    // Point the spotlights at an Object3D or Vector3 (world space); null aims them straight ahead again
+    setSpotlightTarget(target) {
+        this.spotlightTarget = target;
+    }
+
     setupGroup() {
         // Position the submarine group
-        this.gizmoGroup.position.set(-12, 0, -15);
+        this.gizmoGroup.position.copy(this.basePosition);
         this.gizmoGroup.rotation.set(Math.PI / 8, Math.PI / -2, 0);
         this.gizmoGroup.scale.set(0.8, 0.8, 0.8);
         // Store the base rotation for the 'looking around' movement
         this.gizmoGroup.userData.baseRotationY = this.gizmoGroup.rotation.y;
+        this.heading = this.gizmoGroup.rotation.y;
     }
 
     loadModel() {
-        const MODEL_URL = '/models/submarine.glb';
-        const loader = new THREE.GLTFLoader();
-
-        loader.load(
-            MODEL_URL,
-            (gltf) => this.onModelLoaded(gltf),
-            (xhr) => console.log('Submarine: ' + (xhr.loaded / xhr.total * 100) + '% loaded'),
-            (error) => {
-                console.error('Error loading submarine GLB model:', error);
-                console.log('Make sure the file exists at: ' + MODEL_URL);
-            }
-        );
+        // Shared loader: retries, progress overlay, and a stand-in hull if the model never arrives
+        AssetLoader.shared.loadGLTF('/models/submarine.glb', (gltf) => this.onModelLoaded(gltf), {
+            placeholder: () => Submarine.createPlaceholder()
+        });
+    }
+
+    // Rough hull and tower, in the model's own orientation (nose towards +z, where the spotlights point)
+    static createPlaceholder() {
+        const placeholder = new THREE.Group();
+
+        const hull = new THREE.Mesh(new THREE.SphereGeometry(0.5, 16, 12), new THREE.MeshBasicMaterial());
+        hull.scale.set(0.9, 0.9, 2.2);
+        hull.position.set(0.5, 0, -0.7);
+        placeholder.add(hull);
+
+        const tower = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.35, 0.5), new THREE.MeshBasicMaterial());
+        tower.position.set(0.5, 0.5, -0.6);
+        placeholder.add(tower);
+
+        return placeholder;
     }
 
     onModelLoaded(gltf) {
-        console.log('Submarine GLB Model loaded successfully!');
+        console.log(gltf.isPlaceholder ? 'Submarine model unavailable, using placeholder' : 'Submarine GLB Model loaded successfully!');
 
         const model = gltf.scene;
 
@@ -74,20 +146,24 @@ class Submarine {
         model.rotation.set(0, Math.PI / 4, 0);
         model.position.set(0, 0, 0);
 
-        // Make model materials BLACK and receive lighting
+        // Make model materials the hull colour (black by default) and receive lighting
+        const hullColor = Submarine.getHullColor();
         model.traverse((child) => {
             if (child.isMesh) {
                 child.material = new THREE.MeshLambertMaterial({
-                    color: 0x0a0a0a,
+                    color: hullColor,
                     emissive: 0x000000,
                     emissiveIntensity: 0
                 });
                 child.material.needsUpdate = true;
-                console.log('Found submarine mesh:', child.name, 'Material set to black');
+                this.hullMeshes.push(child);
+                this.hullMaterials.push(child.material);
+                console.log('Found submarine mesh:', child.name, 'Material set to hull colour');
             }
         });
 
         // Add spotlights to the submarine
+        this.model = model;
         this.addSpotlights(model);
 
         this.gizmoGroup.add(model);
@@ -95,6 +171,7 @@ class Submarine {
     }
 
     addSpotlights(model) {
+        const spotlightColor = Submarine.getSpotlightColor();
         const spotlightPositions = [
             { pos: [0.5, 0.3, 0.2], target: [0.5, 0.3, 6] }, // Front right
             { pos: [0.5, 0.3, -0.2], target: [0.5, 0.3, 6] }, // Front left
@@ -117,10 +194,9 @@ class Submarine {
             // Glowing lens
             const lensGeometry = new THREE.CircleGeometry(0.06, 16);
             const lensMaterial = new THREE.MeshBasicMaterial({
-                color: 0xf0d060,
-                emissive: 0xf0d060,
-                emissiveIntensity: 1
+                color: spotlightColor
             });
+            this.lensMaterials.push(lensMaterial);
             const lens = new THREE.Mesh(lensGeometry, lensMaterial);
             lens.position.set(spotData.pos[0], spotData.pos[1], spotData.pos[2] + 0.07);
             model.add(lens);
@@ -129,29 +205,33 @@ class Submarine {
             const beamLength = 8;
             const beamGeometry = new THREE.ConeGeometry(0.06, beamLength, 16, 1, true);
             const beamMaterial = new THREE.MeshBasicMaterial({
-                color: 0xf0d060,
+                color: spotlightColor,
                 transparent: true,
                 opacity: 0.18,
                 side: THREE.DoubleSide,
                 blending: THREE.AdditiveBlending,
                 depthWrite: false
             });
+            if (!this.spotlightsOn) beamMaterial.opacity = 0;
             const beam = new THREE.Mesh(beamGeometry, beamMaterial);
             beam.rotation.x = Math.PI / 2;
             beam.position.set(spotData.pos[0], spotData.pos[1], spotData.pos[2] + beamLength / 2);
+            beam.visible = this.showSpotlightBeams;
             model.add(beam);
 
             // Actual Three.js SpotLight for lighting
-            const spotlight = new THREE.SpotLight(0xf0d060, 1.5, 12, Math.PI / 8, 0.5, 1);
+            const spotlight = new THREE.SpotLight(spotlightColor, this.spotlightsOn ? this.SPOTLIGHT_INTENSITY : 0, 12, Math.PI / 8, 0.5, 1);
             spotlight.position.set(spotData.pos[0], spotData.pos[1], spotData.pos[2]);
             spotlight.target.position.set(spotData.target[0], spotData.target[1], spotData.target[2]);
+            spotlight.userData.restTarget = spotlight.target.position.clone();
             model.add(spotlight);
             model.add(spotlight.target);
 
             // Store beam for animation
             beam.userData.isSpotlightBeam = true;
-            beam.userData.baseOpacity = 0.18;
+            beam.userData.baseOpacity = this.beamOpacity;
             beam.userData.index = index;
+            beam.userData.length = beamLength;
 
             // Store references for animation
             this.spotlights.push(spotlight);
@@ -159,50 +239,141 @@ class Submarine {
         });
     }
 
+    /**
+     * World-space bounds of the hull into `target`; the spotlight housings and beam cones hang off the same
+     * model, so Box3.setFromObject(model) would reach metres ahead of the bow. False until the model is loaded.
+     */
+    getHullBox(target) {
+        target.makeEmpty();
+        this.hullMeshes.forEach(mesh => target.expandByObject(mesh));
+        return !target.isEmpty();
+    }
+
+    // Quality tier hook: the additive beam cones are the costly part, the spotlights themselves stay
+    applyQualityTier(tier) {
+        this.showSpotlightBeams = tier.spotlightBeams;
+        this.spotlightBeams.forEach(beam => {
+            beam.visible = this.showSpotlightBeams;
+        });
+    }
+
+    // Submarine part of an ocean preset: { enabled, position: [x, y, z], spotlightIntensity, beamOpacity }
+    applyPreset(preset) {
+        const submarinePreset = preset.submarine;
+        if (!submarinePreset) return;
+
+        if (submarinePreset.enabled !== undefined) {
+            this.gizmoGroup.visible = submarinePreset.enabled;
+        }
+        if (submarinePreset.position) {
+            this.basePosition.fromArray(submarinePreset.position);
+        }
+
+        // Brightness the spotlights return to after each flicker
+        if (submarinePreset.spotlightIntensity !== undefined) {
+            this.SPOTLIGHT_INTENSITY = submarinePreset.spotlightIntensity;
+        }
+        if (submarinePreset.beamOpacity !== undefined) {
+            this.beamOpacity = submarinePreset.beamOpacity;
+            this.spotlightBeams.forEach(beam => {
+                beam.userData.baseOpacity = this.beamOpacity;
+            });
+        }
+        if (this.spotlightsOn && !this.isFlickering) {
+            this.spotlights.forEach((spotlight, index) => {
+                spotlight.intensity = this.SPOTLIGHT_INTENSITY;
+                this.spotlightBeams[index].material.opacity = this.spotlightBeams[index].userData.baseOpacity;
+            });
+        }
+    }
+
     updateMousePosition(mouseX, mouseY) {
         this.mouseX = mouseX;
         this.mouseY = mouseY;
     }
 
-    update() {
-        const elapsedTime = this.clock.getElapsedTime();
-
-        // Update submarine position based on mouse (parallax effect)
-        const easingFactorCamera = 0.05;
-        const gizmoTargetX = -12 + this.mouseX * 0.2;
-        const gizmoTargetY = 0 + this.mouseY * 0.2;
+    update(dt, elapsed) {
+        this.elapsedTime = elapsed;
+        const easingFactorCamera = Math.min(0.05 * dt * 60, 1);
+        let facing = null;
+        let lookTarget = null;
+
+        if (this.behaviour) {
+            this.behaviour.update(this, dt, elapsed);
+            this.gizmoGroup.position.lerp(this.behaviour.target, easingFactorCamera);
+            facing = this.behaviour.facing;
+            lookTarget = this.behaviour.lookTarget;
+        } else {
+            // Rest position with mouse parallax
+            const gizmoTargetX = this.basePosition.x + this.mouseX * 0.2;
+            const gizmoTargetY = this.basePosition.y + this.mouseY * 0.2;
+
+            this.gizmoGroup.position.x += (gizmoTargetX - this.gizmoGroup.position.x) * easingFactorCamera;
+            this.gizmoGroup.position.y += (gizmoTargetY - this.gizmoGroup.position.y) * easingFactorCamera;
+            this.gizmoGroup.position.z += (this.basePosition.z - this.gizmoGroup.position.z) * easingFactorCamera;
+        }
 
-        this.gizmoGroup.position.x += (gizmoTargetX - this.gizmoGroup.position.x) * easingFactorCamera;
-        this.gizmoGroup.position.y += (gizmoTargetY - this.gizmoGroup.position.y) * easingFactorCamera;
+        this.updateHeading(facing, dt, elapsed);
+        this.updateSpotlightAim(this.spotlightTarget || lookTarget, easingFactorCamera);
 
         // Update spotlights
-        this.updateSpotlights(elapsedTime);
+        this.updateSpotlights(elapsed);
     }
 
-    updateSpotlights(elapsedTime) {
+    // Turn towards the direction of travel (yaw only), with the slight 'looking around' sway on top
+    updateHeading(facing, dt, elapsedTime) {
+        let targetHeading = this.gizmoGroup.userData.baseRotationY;
+        if (facing && (facing.x !== 0 || facing.z !== 0)) {
+            // The spotlights shine along the model's +Z, which the model turns by MODEL_HEADING
+            targetHeading = Math.atan2(facing.x, facing.z) - Submarine.MODEL_HEADING;
+        }
+
+        // Shortest way round, about a second to settle
+        let delta = (targetHeading - this.heading) % (Math.PI * 2);
+        if (delta > Math.PI) delta -= Math.PI * 2;
+        if (delta < -Math.PI) delta += Math.PI * 2;
+        this.heading += delta * Math.min(2 * dt, 1);
+
         // Slight movement (looking around)
         const movementIntensity = 0.05;
         const movementSpeed = 0.2;
+        this.gizmoGroup.rotation.y = this.heading + Math.sin(elapsedTime * movementSpeed) * movementIntensity;
+    }
 
-        // Gently oscillate the entire group's Y rotation
-        this.gizmoGroup.rotation.y = this.gizmoGroup.userData.baseRotationY + Math.sin(elapsedTime * movementSpeed) * movementIntensity;
+    // Ease each spotlight (and its beam) towards a world-space target, or back to its rest direction
+    updateSpotlightAim(target, easing) {
+        if (!this.model) return;
 
-        // Flicker effect
-        const currentTime = Date.now();
+        if (target) {
+            if (target.isObject3D) {
+                target.getWorldPosition(this.aimPoint);
+            } else {
+                this.aimPoint.copy(target);
+            }
+            this.model.worldToLocal(this.aimPoint);
+        }
+
+        this.spotlights.forEach((spotlight, index) => {
+            spotlight.target.position.lerp(target ? this.aimPoint : spotlight.userData.restTarget, easing);
+
+            const beam = this.spotlightBeams[index];
+            this.aimDirection.subVectors(spotlight.target.position, spotlight.position).normalize();
+            beam.quaternion.setFromUnitVectors(Submarine.BEAM_AXIS, this.aimDirection);
+            beam.position.copy(spotlight.position).addScaledVector(this.aimDirection, beam.userData.length / 2);
+        });
+    }
+
+    updateSpotlights(elapsedTime) {
+        // Flicker effect (timings in ms of scene time, so pausing doesn't trigger a flicker)
+        const currentTime = elapsedTime * 1000;
         const timeSinceLastFlicker = currentTime - this.lastFlickerTime;
 
+        // Switched-off lights stay dark
+        if (!this.spotlightsOn) return;
+
         // Start a new flicker sequence
         if (!this.isFlickering && timeSinceLastFlicker > this.nextFlickerInterval) {
-            this.isFlickering = true;
-            this.flickerCounter = 0;
-            this.lastFlickerTime = currentTime;
-            this.lastFlickerStateChangeTime = currentTime;
-            
-            // Randomize total number of on/off states (2 to 8 total blinks)
-            this.maxFlickersInSequence = Math.floor(Math.random() * 7) + 2;
-
-            // Set the duration for the very first state
-            this.currentFlickerStateDuration = 100 + Math.random() * 200;
+            this.startFlicker(currentTime);
         }
 
         // Execute flicker states
@@ -218,12 +389,12 @@ class Submarine {
                 if (this.flickerCounter > this.maxFlickersInSequence * 2) {
                     this.isFlickering = false;
                     this.lastFlickerTime = currentTime;
-                    // Randomize the next long interval (10 to 20 seconds)
-                    this.nextFlickerInterval = 10000 + Math.random() * 10000;
+                    // Randomize the next long interval (10 to 20 seconds by default)
+                    this.nextFlickerInterval = this.flickerIntervalMin + this.random() * this.flickerIntervalRange;
 
                     // Ensure lights are back to full power
                     this.spotlights.forEach((spotlight, index) => {
-                        spotlight.intensity = 1.5;
+                        spotlight.intensity = this.SPOTLIGHT_INTENSITY;
                         this.spotlightBeams[index].material.opacity = this.spotlightBeams[index].userData.baseOpacity;
                     });
                     return;
@@ -239,34 +410,92 @@ class Submarine {
                     
                     if (isVisible) {
                         // SET TO BRIGHT/ON STATE
-                        spotlight.intensity = 1.5;
+                        spotlight.intensity = this.SPOTLIGHT_INTENSITY;
                         beam.material.opacity = beam.userData.baseOpacity;
                         
                         // Randomize the duration of the next ON state
-                        this.currentFlickerStateDuration = 50 + Math.random() * 100;
+                        this.currentFlickerStateDuration = 50 + this.random() * 100;
                     } else {
                         // SET TO DIM/OFF STATE
                         const minDropIntensity = 0.05;
                         const maxDropIntensity = 0.3;
-                        const flickerDrop = minDropIntensity + Math.random() * (maxDropIntensity - minDropIntensity);
+                        const flickerDrop = minDropIntensity + this.random() * (maxDropIntensity - minDropIntensity);
 
                         spotlight.intensity = flickerDrop;
                         beam.material.opacity = 0.02;
                         
                         // Randomize the duration of the next OFF state
-                        this.currentFlickerStateDuration = 20 + Math.random() * 80;
+                        this.currentFlickerStateDuration = 20 + this.random() * 80;
                     }
                 });
             }
         }
     }
 
+    startFlicker(currentTime) {
+        this.isFlickering = true;
+        this.flickerCounter = 0;
+        this.lastFlickerTime = currentTime;
+        this.lastFlickerStateChangeTime = currentTime;
+        
+        // Randomize total number of on/off states (2 to 8 total blinks)
+        this.maxFlickersInSequence = Math.floor(this.random() * 7) + 2;
+
+        // Set the duration for the very first state
+        this.currentFlickerStateDuration = 100 + this.random() * 200;
+    }
+
+    // Theme colours, falling back to the original black hull and gold spotlights
+    static getHullColor() {
+        return OceanBackground.getCSSColorAsHex('--ocean-submarine-hull', 0x0a0a0a);
+    }
+
+    static getSpotlightColor() {
+        return OceanBackground.getCSSColorAsHex('--ocean-spotlight-color', 0xf0d060);
+    }
+
+    // Re-read the hull and spotlight colours (SceneTheme calls it when the variables change)
+    updateColors() {
+        const hullColor = Submarine.getHullColor();
+        const spotlightColor = Submarine.getSpotlightColor();
+        this.hullMaterials.forEach(material => material.color.setHex(hullColor));
+        this.lensMaterials.forEach(material => material.color.setHex(spotlightColor));
+        this.spotlights.forEach((spotlight, index) => {
+            spotlight.color.setHex(spotlightColor);
+            this.spotlightBeams[index].material.color.setHex(spotlightColor);
+        });
+    }
+
+    // SceneManager hook after a lost WebGL context came back: hull, lens and beam materials compile again
+    restoreContext() {
+        this.gizmoGroup.traverse((child) => {
+            if (child.material) child.material.needsUpdate = true;
+        });
+    }
+
     dispose() {
         if (this.gizmoGroup) {
+            SceneManager.disposeObject(this.gizmoGroup);
+            this.gizmoGroup.clear(); // init() loads a new model into the same group
             this.scene.remove(this.gizmoGroup);
         }
+
+        this.spotlights = [];
+        this.spotlightBeams = [];
+        this.hullMeshes = [];
+        this.hullMaterials = [];
+        this.lensMaterials = [];
+        this.isInitialized = false;
     }
 }
 
+// Yaw the model itself is turned by inside the group (see onModelLoaded)
+Submarine.MODEL_HEADING = Math.PI / 4;
+// Cone geometry axis the beams are built along
+Submarine.BEAM_AXIS = new THREE.Vector3(0, 1, 0);
+
+// CSS variables updateColors() reads (see SceneTheme)
+Submarine.THEME_VARIABLES = ['--ocean-submarine-hull', '--ocean-spotlight-color'];
+
 // Export for use in other files
 window.Submarine = Submarine;
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Submarine Behaviours
+ * Movement modes for Submarine. Each frame a behaviour writes where the submarine should be (`target`),
+ * optionally which way it should face (`facing`) and what its spotlights should look at (`lookTarget`).
+ * Submarine eases towards these, so switching behaviour at runtime blends smoothly.
+ */
+
+// Default: rest position plus a little mouse parallax (the original behaviour)
+class IdleBehaviour {
+    constructor(options = {}) {
+        this.parallax = options.parallax !== undefined ? options.parallax : 0.2;
+        this.target = new THREE.Vector3();
+        this.facing = null;
+        this.lookTarget = null;
+    }
+
+    update(submarine) {
+        this.target.set(
+            submarine.basePosition.x + submarine.mouseX * this.parallax,
+            submarine.basePosition.y + submarine.mouseY * this.parallax,
+            submarine.basePosition.z
+        );
+    }
+}
+
+// Cruise along a smooth spline through waypoints
+class PatrolBehaviour {
+    constructor(options = {}) {
+        const waypoints = options.waypoints || [[-12, 0, -15], [-4, 2, -20], [6, -1, -18], [-2, -3, -12]];
+        this.speed = options.speed || 1.2; // Units per second along the curve
+        this.loop = options.loop !== false; // false = go back and forth
+        this.curve = new THREE.CatmullRomCurve3(
+            waypoints.map(point => new THREE.Vector3().fromArray(point)),
+            this.loop,
+            'centripetal'
+        );
+        this.curveLength = this.curve.getLength();
+        this.progress = options.startAt || 0; // 0-1 along the curve
+        this.direction = 1;
+
+        this.target = new THREE.Vector3();
+        this.facing = new THREE.Vector3();
+        this.lookTarget = null;
+    }
+
+    update(submarine, dt) {
+        this.progress += this.direction * (this.speed * dt) / this.curveLength;
+
+        if (this.loop) {
+            this.progress = ((this.progress % 1) + 1) % 1;
+        } else if (this.progress > 1 || this.progress < 0) {
+            this.direction *= -1;
+            this.progress = Math.min(Math.max(this.progress, 0), 1);
+        }
+
+        this.curve.getPointAt(this.progress, this.target);
+        this.curve.getTangentAt(this.progress, this.facing).multiplyScalar(this.direction);
+    }
+}
+
+// Trail the cursor, projected onto a depth plane, while keeping some distance
+class FollowCursorBehaviour {
+    constructor(options = {}) {
+        this.distance = options.distance !== undefined ? options.distance : 5;
+        this.planeZ = options.planeZ !== undefined ? options.planeZ : -15;
+        this.aimSpotlights = options.aimSpotlights !== false; // Light up the spot under the cursor
+
+        this.raycaster = new THREE.Raycaster();
+        this.plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -this.planeZ);
+        this.pointer = new THREE.Vector2();
+        this.cursorPoint = new THREE.Vector3();
+        this.target = new THREE.Vector3();
+        this.facing = new THREE.Vector3();
+        this.lookTarget = null;
+    }
+
+    update(submarine) {
+        this.pointer.set(submarine.mouseX, submarine.mouseY);
+        this.raycaster.setFromCamera(this.pointer, submarine.camera);
+        if (!this.raycaster.ray.intersectPlane(this.plane, this.cursorPoint)) return;
+
+        const position = submarine.gizmoGroup.position;
+        this.facing.subVectors(this.cursorPoint, position);
+
+        // Stop `distance` short of the cursor, on the side the submarine is already on
+        this.target.copy(this.facing).setLength(-this.distance).add(this.cursorPoint);
+        this.lookTarget = this.aimSpotlights ? this.cursorPoint : null;
+    }
+}
+
+// Rise to the surface while the page is scrolled to the top; otherwise run another behaviour
+class SurfaceBehaviour {
+    constructor(options = {}) {
+        this.surfaceY = options.surfaceY !== undefined ? options.surfaceY : 7;
+        this.threshold = options.threshold !== undefined ? options.threshold : 40; // px from the top
+        this.inner = SubmarineBehaviours.create(options.then || 'idle');
+
+        this.target = new THREE.Vector3();
+        this.facing = null;
+        this.lookTarget = null;
+        this.isSurfaced = false;
+    }
+
+    update(submarine, dt, elapsed) {
+        this.inner.update(submarine, dt, elapsed);
+        this.target.copy(this.inner.target);
+        this.facing = this.inner.facing;
+        this.lookTarget = this.inner.lookTarget;
+
+        this.isSurfaced = (window.pageYOffset || 0) <= this.threshold;
+        if (this.isSurfaced) {
+            this.target.y = this.surfaceY;
+        }
+    }
+}
+
+const SubmarineBehaviours = {
+    types: {
+        idle: IdleBehaviour,
+        patrol: PatrolBehaviour,
+        followCursor: FollowCursorBehaviour,
+        surface: SurfaceBehaviour
+    },
+
+    // Accepts a behaviour instance, a name ('patrol') or a config ({ type: 'patrol', waypoints: [...] })
+    create(config) {
+        if (config && typeof config.update === 'function') return config;
+
+        const options = typeof config === 'string' ? { type: config } : (config || { type: 'idle' });
+        const Behaviour = SubmarineBehaviours.types[options.type];
+        if (!Behaviour) {
+            console.warn(`SubmarineBehaviours: unknown behaviour "${options.type}", using idle`);
+            return new IdleBehaviour();
+        }
+        return new Behaviour(options);
+    }
+};
+
+// Export for use in other files
+window.SubmarineBehaviours = SubmarineBehaviours;
@@ -0,0 +1,258 @@
+/**
+ * Surface Light
+ * Sunlight from the surface: soft god rays hanging down through the water and an animated caustics
+ * pattern on kelp and the submarine. Both take the directional light's colour (--ocean-directional-light or
+ * a preset's) and fade out as the page scrolls deeper (OceanBackground.updateScrollDepth).
+ */
+
+class SurfaceLight {
+    constructor(options = {}) {
+        this.oceanBackground = options.oceanBackground; // Scroll depth
+        this.kelp = options.kelp || null;
+        this.submarine = options.submarine || null;
+        this.random = options.random || Math.random;
+        this.maxRays = options.maxRays || 9;
+        this.rayOpacity = options.rayOpacity !== undefined ? options.rayOpacity : 0.12;
+        this.causticsIntensity = options.causticsIntensity !== undefined ? options.causticsIntensity : 0.35;
+        // Scroll depth (0-1) at which both effects are gone
+        this.fadeDepth = options.fadeDepth !== undefined ? options.fadeDepth : 0.7;
+
+        // Shared by every material with caustics, so one update drives them all
+        this.causticsUniforms = {
+            uCausticsTime: { value: 0 },
+            uCausticsColor: { value: new THREE.Color() },
+            uCausticsIntensity: { value: 0 }
+        };
+
+        this.visibleRays = this.maxRays;
+        this.causticsEnabled = true;
+        this.patchedMaterials = new Set();
+        this.submarinePatched = false;
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.scene = sceneManager.getScene();
+
+        this.createRays();
+        this.updateColors();
+
+        if (this.kelp) this.addCausticsTo(this.kelp.kelpMaterial);
+    }
+
+    createRays() {
+        // Hangs from its top edge so the rays can lean without leaving the surface
+        const geometry = new THREE.PlaneGeometry(1, 1, 1, 8);
+        geometry.translate(0, -0.5, 0);
+
+        const phases = new Float32Array(this.maxRays);
+        this.rayMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uColor: { value: new THREE.Color() },
+                uOpacity: { value: this.rayOpacity }
+            },
+            vertexShader: SurfaceLight.RAY_SHADERS.vertex,
+            fragmentShader: SurfaceLight.RAY_SHADERS.fragment,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+
+        this.rays = new THREE.InstancedMesh(geometry, this.rayMaterial, this.maxRays);
+        this.rays.frustumCulled = false;
+
+        const dummy = new THREE.Object3D();
+        for (let i = 0; i < this.maxRays; i++) {
+            // Spread across the view, further rays wider and longer
+            const z = -8 - this.random() * 18;
+            const depthScale = 1 + (-z - 8) / 18;
+            dummy.position.set((this.random() - 0.5) * 34, 14, z);
+            dummy.rotation.set(0, 0, (this.random() - 0.5) * 0.5 + 0.15);
+            dummy.scale.set((1.2 + this.random() * 2.2) * depthScale, (22 + this.random() * 8) * depthScale, 1);
+            dummy.updateMatrix();
+            this.rays.setMatrixAt(i, dummy.matrix);
+            phases[i] = this.random() * Math.PI * 2;
+        }
+        geometry.setAttribute('rayPhase', new THREE.InstancedBufferAttribute(phases, 1));
+        this.rays.count = this.visibleRays;
+
+        this.scene.add(this.rays);
+    }
+
+    // Add the caustics pattern to a lit material (keeps any onBeforeCompile it already has)
+    addCausticsTo(material) {
+        if (!material || this.patchedMaterials.has(material)) return;
+        this.patchedMaterials.add(material);
+
+        const previousCompile = material.onBeforeCompile;
+        const previousCacheKey = material.customProgramCacheKey;
+        material.onBeforeCompile = (shader, renderer) => {
+            previousCompile.call(material, shader, renderer);
+            this.injectCaustics(shader);
+        };
+        material.customProgramCacheKey = () => previousCacheKey.call(material) + '|caustics';
+        material.needsUpdate = true;
+    }
+
+    injectCaustics(shader) {
+        Object.assign(shader.uniforms, this.causticsUniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                varying vec3 vCausticsWorld;`)
+            .replace('#include <project_vertex>', `#include <project_vertex>
+                vec4 causticsPosition = vec4(transformed, 1.0);
+                #ifdef USE_INSTANCING
+                    causticsPosition = instanceMatrix * causticsPosition;
+                #endif
+                vCausticsWorld = (modelMatrix * causticsPosition).xyz;`);
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+                varying vec3 vCausticsWorld;
+                uniform float uCausticsTime;
+                uniform vec3 uCausticsColor;
+                uniform float uCausticsIntensity;
+                ${SurfaceLight.CAUSTICS_FUNCTION}`)
+            .replace('#include <fog_fragment>', `
+                if (uCausticsIntensity > 0.0) {
+                    // Projected from above; the height term keeps vertical surfaces from smearing
+                    vec2 causticsUv = vCausticsWorld.xz * 0.45 + vCausticsWorld.y * 0.15;
+                    gl_FragColor.rgb += uCausticsColor * causticsPattern(causticsUv, uCausticsTime) * uCausticsIntensity;
+                }
+                #include <fog_fragment>`);
+    }
+
+    // The submarine model loads asynchronously; its hull gets caustics once it's there
+    patchSubmarine() {
+        const model = this.submarine && this.submarine.model;
+        if (!model) return;
+
+        model.traverse((child) => {
+            // Lit hull parts only; the beams and lenses are unlit
+            if (child.isMesh && child.material.isMeshLambertMaterial) this.addCausticsTo(child.material);
+        });
+        this.submarinePatched = true;
+    }
+
+    // Quality tier hook
+    applyQualityTier(tier) {
+        this.visibleRays = Math.min(tier.lightShafts !== undefined ? tier.lightShafts : this.maxRays, this.maxRays);
+        this.causticsEnabled = tier.caustics !== false;
+        if (this.rays) {
+            this.rays.count = this.visibleRays;
+            this.rays.visible = this.visibleRays > 0;
+        }
+    }
+
+    // Re-read the directional light colour (presets may override the CSS variable)
+    updateColors() {
+        const color = this.oceanBackground
+            ? this.oceanBackground.getLightColor('directional')
+            : OceanBackground.getCSSColorAsHex('--ocean-directional-light');
+        this.causticsUniforms.uCausticsColor.value.setHex(color);
+        if (this.rayMaterial) this.rayMaterial.uniforms.uColor.value.setHex(color);
+    }
+
+    update(dt, elapsed) {
+        if (!this.submarinePatched) this.patchSubmarine();
+
+        // Full strength at the surface, gone by fadeDepth
+        const depth = this.oceanBackground ? this.oceanBackground.scrollDepth : 0;
+        const strength = 1 - THREE.MathUtils.smoothstep(depth, 0, this.fadeDepth);
+
+        // Follow the light itself, which presets and time-of-day blends recolour
+        const sunlight = this.oceanBackground && this.oceanBackground.directionalLight;
+        if (sunlight) {
+            this.causticsUniforms.uCausticsColor.value.copy(sunlight.color);
+            if (this.rays) this.rayMaterial.uniforms.uColor.value.copy(sunlight.color);
+        }
+
+        this.causticsUniforms.uCausticsTime.value = elapsed;
+        this.causticsUniforms.uCausticsIntensity.value = this.causticsEnabled ? this.causticsIntensity * strength : 0;
+
+        if (this.rays) {
+            this.rayMaterial.uniforms.uTime.value = elapsed;
+            this.rayMaterial.uniforms.uOpacity.value = this.rayOpacity * strength;
+            this.rays.visible = this.visibleRays > 0 && strength > 0;
+        }
+    }
+
+    dispose() {
+        if (this.rays) {
+            this.scene.remove(this.rays);
+            this.rays.geometry.dispose();
+            this.rayMaterial.dispose();
+            this.rays.dispose();
+            this.rays = null;
+        }
+        // Patched materials stay patched; without updates the caustics just stop moving
+        this.causticsUniforms.uCausticsIntensity.value = 0;
+    }
+}
+
+// Bright, branching water-light network (iterated domain warp); returns roughly 0-1
+SurfaceLight.CAUSTICS_FUNCTION = `
+    float causticsPattern(vec2 p, float time) {
+        vec2 warped = p;
+        float brightness = 1.0;
+        const float strength = 0.005;
+        for (int n = 0; n < 3; n++) {
+            float t = time * 0.35 * (1.0 - (3.5 / float(n + 1)));
+            warped = p + vec2(cos(t - warped.x) + sin(t + warped.y), sin(t - warped.y) + cos(t + warped.x));
+            brightness += 1.0 / length(vec2(p.x / (sin(warped.x + t) / strength), p.y / (cos(warped.y + t) / strength)));
+        }
+        brightness /= 3.0;
+        brightness = 1.17 - pow(brightness, 1.4);
+        return clamp(pow(abs(brightness), 8.0), 0.0, 1.0);
+    }
+`;
+
+// God rays: soft-edged planes, brightest at the surface, slowly swaying and shimmering
+SurfaceLight.RAY_SHADERS = {
+    vertex: `
+        uniform float uTime;
+        attribute float rayPhase;
+        varying vec2 vUv;
+        varying float vPhase;
+
+        void main() {
+            vUv = uv;
+            vPhase = rayPhase;
+
+            // The bottom drifts while the top stays at the surface
+            vec3 p = position;
+            p.x += sin(uTime * 0.15 + rayPhase) * 0.4 * (1.0 - uv.y);
+
+            vec4 worldPosition = vec4(p, 1.0);
+            #ifdef USE_INSTANCING
+                worldPosition = instanceMatrix * worldPosition;
+            #endif
+            gl_Position = projectionMatrix * modelViewMatrix * worldPosition;
+        }
+    `,
+
+    fragment: `
+        uniform float uTime;
+        uniform vec3 uColor;
+        uniform float uOpacity;
+        varying vec2 vUv;
+        varying float vPhase;
+
+        void main() {
+            float edges = smoothstep(0.0, 0.5, vUv.x) * smoothstep(1.0, 0.5, vUv.x);
+            float falloff = pow(vUv.y, 1.8);
+            float shimmer = 0.65 + 0.35 * sin(uTime * 0.6 + vPhase * 3.0 + vUv.x * 4.0);
+            gl_FragColor = vec4(uColor, edges * falloff * shimmer * uOpacity);
+        }
+    `
+};
+
+// CSS variables updateColors() reads (see SceneTheme)
+SurfaceLight.THEME_VARIABLES = ['--ocean-directional-light'];
+
+// Export for use in other files
+window.SurfaceLight = SurfaceLight;
@@ -0,0 +1,108 @@
+/**
+ * Time Of Day
+ * Optional mode that picks the ocean's palette from the visitor's local time: a bright noon, a warm dusk
+ * and a bioluminescent night (glowing particles, brighter submarine spotlights), mixed smoothly between
+ * keyframes through OceanPresets. The presets only move the fog's surface/deep endpoints, so scroll-depth
+ * interpolation keeps working on top. Force a time with ?time=21:30 (or ?time=dusk) for testing.
+ */
+
+class TimeOfDay {
+    constructor(options = {}) {
+        this.presets = options.presets; // OceanPresets instance
+        this.keyframes = options.keyframes || TimeOfDay.KEYFRAMES;
+        this.refreshInterval = options.refreshInterval || 60; // Seconds between re-reading the clock
+        this.urlParameter = options.urlParameter || 'time';
+
+        // Forced hour (0-24) from the options or the URL; null follows the local clock
+        const urlParams = typeof window.location !== 'undefined' ? new URLSearchParams(window.location.search) : null;
+        const forced = options.time !== undefined ? options.time : (urlParams && urlParams.get(this.urlParameter));
+        this.forcedHour = TimeOfDay.parseTime(forced);
+
+        this.sinceRefresh = 0;
+    }
+
+    /**
+     * '21:30', '21.5', 21.5 or a keyframe name ('noon', 'dusk', 'night') to an hour in [0, 24); null if unset or invalid
+     */
+    static parseTime(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number') return ((value % 24) + 24) % 24;
+
+        if (TimeOfDay.NAMED_HOURS[value] !== undefined) return TimeOfDay.NAMED_HOURS[value];
+
+        const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(value) || /^(\d{1,2}(?:\.\d+)?)$/.exec(value);
+        if (!match) {
+            console.warn(`TimeOfDay: can't read time "${value}"`);
+            return null;
+        }
+        const hour = parseFloat(match[1]) + (match[2] ? parseInt(match[2], 10) / 60 : 0);
+        return hour % 24;
+    }
+
+    // SceneManager system hook
+    init(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.refresh();
+    }
+
+    // Current hour, 0-24 with fractions
+    getHour() {
+        if (this.forcedHour !== null) return this.forcedHour;
+        const now = new Date();
+        return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+    }
+
+    // Force an hour (or a name, see parseTime); null goes back to the local clock
+    setTime(value) {
+        this.forcedHour = TimeOfDay.parseTime(value);
+        this.refresh();
+    }
+
+    // The two keyframes around an hour and how far between them it is
+    getBlend(hour) {
+        const keyframes = this.keyframes;
+        for (let i = 0; i < keyframes.length - 1; i++) {
+            const from = keyframes[i];
+            const to = keyframes[i + 1];
+            if (hour >= from.hour && hour <= to.hour) {
+                const span = to.hour - from.hour;
+                const t = span > 0 ? (hour - from.hour) / span : 0;
+                return { from: from.preset, to: to.preset, t: t * t * (3 - 2 * t) }; // Smoothstep
+            }
+        }
+        const last = keyframes[keyframes.length - 1].preset;
+        return { from: last, to: last, t: 0 };
+    }
+
+    refresh() {
+        if (!this.presets) return;
+        const blend = this.getBlend(this.getHour());
+        this.presets.mix(blend.from, blend.to, blend.t);
+        this.sinceRefresh = 0;
+    }
+
+    update(dt) {
+        this.sinceRefresh += dt;
+        // Leave an explicit blendTo() running; the next refresh catches up afterwards
+        if (this.sinceRefresh < this.refreshInterval || (this.presets && this.presets.isBlending())) return;
+        this.refresh();
+    }
+}
+
+// Hours the named palettes are at their fullest
+TimeOfDay.NAMED_HOURS = { noon: 12, dusk: 19, night: 0 };
+
+// Preset at each hour (0-24, ascending); hours in between mix the neighbours
+TimeOfDay.KEYFRAMES = [
+    { hour: 0, preset: 'night' },
+    { hour: 5, preset: 'night' },
+    { hour: 7, preset: 'dusk' },
+    { hour: 9, preset: 'noon' },
+    { hour: 17, preset: 'noon' },
+    { hour: 19, preset: 'dusk' },
+    { hour: 21, preset: 'night' },
+    { hour: 24, preset: 'night' }
+];
+
+// Export for use in other files
+window.TimeOfDay = TimeOfDay;